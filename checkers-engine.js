@@ -0,0 +1,872 @@
+// Checkers engine: rules, variants and the alpha-beta AI for both checkers pages.
+// Contains no DOM code, so the same file runs in checkers.html and checkers-portals.html
+// (<script src="checkers-engine.js">) and headless in Node (test-runner.js --checkers and
+// --suite checkers, or require('./checkers-engine.js')).
+// Rules: men step forward, kings both ways; a man ending a move on the far row is crowned;
+// a capturing piece keeps jumping until it can't or is crowned. Board size, capture rule and
+// portals come from the variant (see VARIANTS below). GAME RECORDS write, read and replay games
+// in PDN-style notation, for export and as test fixtures; PLAY SESSIONS at the end run the
+// pages' undo/redo and review on top of a record.
+
+// ============ CONSTANTS ============
+// Search settings per difficulty: depth is in plies (one jump of a chain is a ply);
+// timeMs turns on iterative deepening up to depth, keeping the deepest finished search
+const CHECKERS_DIFFICULTY = {
+    easy: { depth: 1 },
+    medium: { depth: 3 },
+    hard: { depth: 5 },
+    expert: { depth: 12, timeMs: 750 }
+};
+
+// Evaluation weights, in hundredths of a man
+const CHECKERS_WEIGHTS = {
+    man: 100,
+    king: 160,
+    advance: 6,      // Per row a man has moved toward its king row
+    center: 4,       // Kings off the two edge columns
+    backRow: 8,      // Men still guarding their own back row
+    mobility: 2      // Per legal move of the side to move
+};
+
+const CHECKERS_WIN = 100000;
+
+// ============ VARIANTS ============
+// A variant is { name, label, size, pieceRows, forcedCapture, portals, land }:
+//   size           board is size x size (even), pieces on the odd squares (row+col odd)
+//   pieceRows      rows of men each side starts with
+//   forcedCapture  when false, capturing is optional; a chain once started still runs out
+//   portals        { color: [{row, col}, {row, col}] } pairs, or null
+//   land(pos, row, col, move)  hook for where a move that reaches (row, col) ends up: returns
+//                  the move with finalRow/finalCol set. The default sends portal entries
+//                  through to the twin square when it's free.
+const CHECKERS_VARIANTS = {};
+
+function registerCheckersVariant(name, def) {
+    const variant = {
+        name,
+        label: name,
+        size: 6,
+        pieceRows: 2,
+        forcedCapture: true,
+        portals: null,
+        land: checkersPortalLanding,
+        ...def
+    };
+    const { size, pieceRows, portals } = variant;
+    if (!Number.isInteger(size) || size < 4 || size > 12 || size % 2 !== 0) {
+        throw new Error(`Checkers variant '${name}': size must be an even number from 4 to 12`);
+    }
+    if (!Number.isInteger(pieceRows) || pieceRows < 1 || pieceRows * 2 >= size) {
+        throw new Error(`Checkers variant '${name}': pieceRows must leave at least one empty row between the sides`);
+    }
+    // Pieces start on odd squares and a diagonal step keeps a square's parity, so a portal
+    // on an even square could never be reached
+    const seen = new Set();
+    for (const [color, pair] of Object.entries(portals || {})) {
+        if (!Array.isArray(pair) || pair.length !== 2) {
+            throw new Error(`Checkers variant '${name}': portal '${color}' needs exactly two squares`);
+        }
+        for (const { row, col } of pair) {
+            if (!(row >= 0 && row < size && col >= 0 && col < size) || (row + col) % 2 !== 1) {
+                throw new Error(`Checkers variant '${name}': portal '${color}' at (${row},${col}) is not a dark square on the board`);
+            }
+            if (seen.has(`${row},${col}`)) {
+                throw new Error(`Checkers variant '${name}': two portals share (${row},${col})`);
+            }
+            seen.add(`${row},${col}`);
+        }
+    }
+    CHECKERS_VARIANTS[name] = variant;
+    return variant;
+}
+
+function getCheckersVariant(name) {
+    if (name && typeof name === 'object') return name;
+    const variant = CHECKERS_VARIANTS[name];
+    if (!variant) throw new Error(`Unknown checkers variant '${name}' (registered: ${Object.keys(CHECKERS_VARIANTS).join(', ')})`);
+    return variant;
+}
+
+// One line of rules for a page's header
+function checkersRulesText(variant) {
+    variant = getCheckersVariant(variant);
+    const parts = [`${variant.size}x${variant.size} board`];
+    const pairs = Object.keys(variant.portals || {});
+    if (pairs.length) parts.push(`${pairs.length} portal pair${pairs.length === 1 ? '' : 's'} (${pairs.join(' & ')})`);
+    parts.push('Kings move both ways');
+    parts.push(variant.forcedCapture ? 'Captures are mandatory, and a jumping piece keeps jumping'
+        : 'Captures are optional, but a jumping piece keeps jumping');
+    return parts.join(' • ');
+}
+
+registerCheckersVariant('classic', { label: '6x6' });
+
+registerCheckersVariant('casual', { label: '6x6, optional captures', forcedCapture: false });
+
+registerCheckersVariant('8x8', { label: '8x8', size: 8, pieceRows: 3 });
+
+// checkers-portals.html's original layout: the portals sit in the pieces' home rows
+// (those squares start empty) and each pair crosses the board
+registerCheckersVariant('portals', {
+    label: '6x6 portals',
+    portals: {
+        blue: [{ row: 1, col: 2 }, { row: 4, col: 1 }],
+        orange: [{ row: 1, col: 0 }, { row: 4, col: 5 }]
+    }
+});
+
+// Portals in the two middle rows, each pair jumping from one edge to the other
+registerCheckersVariant('portals-8x8', {
+    label: '8x8 portals',
+    size: 8,
+    pieceRows: 3,
+    portals: {
+        blue: [{ row: 3, col: 0 }, { row: 4, col: 7 }],
+        orange: [{ row: 3, col: 6 }, { row: 4, col: 1 }]
+    }
+});
+
+// ============ POSITIONS ============
+// A position is { board, kings, currentPlayer, chainPiece, variant }: board and kings are
+// size x size arrays (board cells null/'human'/'claude', kings true on kings), chainPiece the
+// {row, col} of a piece mid multi-jump. applyCheckersMove also sets lastMove on the result.
+
+function checkersOpponent(player) {
+    return player === 'human' ? 'claude' : 'human';
+}
+
+// The row each side's men are crowned on: Claude starts at the top, the human at the bottom
+function checkersKingRow(variant, player) {
+    return player === 'human' ? 0 : variant.size - 1;
+}
+
+// Copy of a page's gameState as a position
+function checkersPosition(state, variant) {
+    return {
+        board: state.board.map(r => r.slice()),
+        kings: state.kings.map(r => r.slice()),
+        currentPlayer: state.currentPlayer,
+        chainPiece: state.chainPiece ? { ...state.chainPiece } : null,
+        variant: getCheckersVariant(variant)
+    };
+}
+
+// The opening position; portal squares start empty
+function checkersStartPosition(variant) {
+    variant = getCheckersVariant(variant);
+    const { size, pieceRows } = variant;
+    const board = [], kings = [];
+    for (let row = 0; row < size; row++) {
+        board[row] = [];
+        kings[row] = [];
+        for (let col = 0; col < size; col++) {
+            let cell = null;
+            if ((row + col) % 2 === 1 && !checkersPortalAt(variant, row, col)) {
+                if (row < pieceRows) cell = 'claude';
+                else if (row >= size - pieceRows) cell = 'human';
+            }
+            board[row][col] = cell;
+            kings[row][col] = false;
+        }
+    }
+    return { board, kings, currentPlayer: 'human', chainPiece: null, variant };
+}
+
+function checkersPortalAt(variant, row, col) {
+    for (const [color, positions] of Object.entries(variant.portals || {})) {
+        for (let i = 0; i < positions.length; i++) {
+            if (positions[i].row === row && positions[i].col === col) {
+                return { color, index: i, partner: positions[1 - i] };
+            }
+        }
+    }
+    return null;
+}
+
+// Default land hook. The twin counts as free when it's empty or is the square the piece
+// is leaving; a piece that's about to be captured still blocks it.
+function checkersPortalLanding(pos, toRow, toCol, move, fromRow, fromCol) {
+    const portal = checkersPortalAt(pos.variant, toRow, toCol);
+    if (!portal) return { ...move, finalRow: toRow, finalCol: toCol };
+    const exit = portal.partner;
+    const exitClear = pos.board[exit.row][exit.col] === null || (exit.row === fromRow && exit.col === fromCol);
+    return {
+        ...move, isPortal: true, portalColor: portal.color, teleportTo: exit,
+        finalRow: exitClear ? exit.row : toRow,
+        finalCol: exitClear ? exit.col : toCol
+    };
+}
+
+// Every move one piece could make, captures or not; mid multi-jump only the jumping piece
+// moves, and only by capturing. Move objects: { row, col, isCapture, capturedRow, capturedCol,
+// finalRow, finalCol } plus { isPortal, portalColor, teleportTo } when (row, col) is a portal.
+function checkersPieceMoves(pos, row, col) {
+    const piece = pos.board[row][col];
+    if (!piece) return [];
+    const chain = pos.chainPiece;
+    if (chain && piece === pos.currentPlayer && (chain.row !== row || chain.col !== col)) return [];
+
+    const { size, land } = pos.variant;
+    const onBoard = (r, c) => r >= 0 && r < size && c >= 0 && c < size;
+    const moves = [];
+    const direction = piece === 'human' ? -1 : 1;
+    const opponent = checkersOpponent(piece);
+    const diagonals = [{ dr: direction, dc: -1 }, { dr: direction, dc: 1 }];
+    if (pos.kings[row][col]) diagonals.push({ dr: -direction, dc: -1 }, { dr: -direction, dc: 1 });
+
+    for (const { dr, dc } of diagonals) {
+        const newRow = row + dr, newCol = col + dc;
+        if (!onBoard(newRow, newCol)) continue;
+        const target = pos.board[newRow][newCol];
+        if (target === null) {
+            moves.push(land(pos, newRow, newCol, { row: newRow, col: newCol, isCapture: false }, row, col));
+        } else if (target === opponent) {
+            const jumpRow = newRow + dr, jumpCol = newCol + dc;
+            if (onBoard(jumpRow, jumpCol) && pos.board[jumpRow][jumpCol] === null) {
+                moves.push(land(pos, jumpRow, jumpCol, {
+                    row: jumpRow, col: jumpCol, isCapture: true, capturedRow: newRow, capturedCol: newCol
+                }, row, col));
+            }
+        }
+    }
+    return chain ? moves.filter(m => m.isCapture) : moves;
+}
+
+// True when the side to move has a capture and the variant forces it
+function checkersMustCapture(pos) {
+    if (pos.chainPiece) return true;
+    if (!pos.variant.forcedCapture) return false;
+    return checkersAllMoves(pos).some(m => m.move.isCapture);
+}
+
+function checkersAllMoves(pos) {
+    const all = [];
+    const { size } = pos.variant;
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            if (pos.board[row][col] !== pos.currentPlayer) continue;
+            for (const move of checkersPieceMoves(pos, row, col)) all.push({ fromRow: row, fromCol: col, move });
+        }
+    }
+    return all;
+}
+
+// Every legal move for the side to move as { fromRow, fromCol, move }, captures only when forced
+function checkersLegalMoves(pos) {
+    const all = checkersAllMoves(pos);
+    if (!pos.variant.forcedCapture) return all;
+    const captures = all.filter(m => m.move.isCapture);
+    return captures.length > 0 ? captures : all;
+}
+
+// Legal moves of the piece on (row, col), as bare move objects
+function checkersLegalMovesFrom(pos, row, col) {
+    return checkersLegalMoves(pos).filter(m => m.fromRow === row && m.fromCol === col).map(m => m.move);
+}
+
+// The position after a legal move: crown on the far row, keep jumping after a capture while
+// the piece can (unless just crowned), otherwise pass the turn. The result's lastMove says
+// what happened: { fromRow, fromCol, toRow, toCol, isCapture, portalUsed, crowned }.
+function applyCheckersMove(pos, { fromRow, fromCol, move }) {
+    const next = {
+        board: pos.board.map(r => r.slice()),
+        kings: pos.kings.map(r => r.slice()),
+        currentPlayer: pos.currentPlayer,
+        chainPiece: null,
+        variant: pos.variant
+    };
+    const piece = next.board[fromRow][fromCol];
+    const wasKing = next.kings[fromRow][fromCol];
+    next.board[fromRow][fromCol] = null;
+    next.kings[fromRow][fromCol] = false;
+
+    // finalRow/finalCol were worked out against this position by the land hook
+    const finalRow = move.finalRow ?? move.row;
+    const finalCol = move.finalCol ?? move.col;
+    next.board[finalRow][finalCol] = piece;
+    next.kings[finalRow][finalCol] = wasKing;
+
+    if (move.isCapture) {
+        next.board[move.capturedRow][move.capturedCol] = null;
+        next.kings[move.capturedRow][move.capturedCol] = false;
+    }
+
+    const crowned = !wasKing && finalRow === checkersKingRow(pos.variant, piece);
+    if (crowned) next.kings[finalRow][finalCol] = true;
+    next.lastMove = {
+        fromRow, fromCol, toRow: finalRow, toCol: finalCol, isCapture: !!move.isCapture,
+        portalUsed: finalRow !== move.row || finalCol !== move.col, crowned
+    };
+
+    if (move.isCapture && !crowned) {
+        next.chainPiece = { row: finalRow, col: finalCol };
+        if (checkersPieceMoves(next, finalRow, finalCol).length > 0) return next;
+        next.chainPiece = null;
+    }
+    next.currentPlayer = checkersOpponent(piece);
+    return next;
+}
+
+function countCheckersPieces(pos, player) {
+    let n = 0;
+    for (const row of pos.board) for (const cell of row) if (cell === player) n++;
+    return n;
+}
+
+// { winner, reason } once the side to move has no pieces ('no pieces') or no legal moves
+// ('no moves'), else null
+function checkersResult(pos) {
+    if (checkersLegalMoves(pos).length > 0) return null;
+    const winner = checkersOpponent(pos.currentPlayer);
+    return { winner, reason: countCheckersPieces(pos, pos.currentPlayer) === 0 ? 'no pieces' : 'no moves' };
+}
+
+function checkersWinner(pos) {
+    const result = checkersResult(pos);
+    return result ? result.winner : null;
+}
+
+// ============ EVALUATION ============
+// Score of a position for player, higher is better
+function evaluateCheckers(pos, player) {
+    const w = CHECKERS_WEIGHTS;
+    const { size } = pos.variant;
+    let score = 0;
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            const piece = pos.board[row][col];
+            if (!piece) continue;
+            let value;
+            if (pos.kings[row][col]) {
+                value = w.king + (col >= 1 && col <= size - 2 ? w.center : 0);
+            } else {
+                const homeRow = checkersKingRow(pos.variant, checkersOpponent(piece));  // Where this side's men start
+                const advanced = Math.abs(row - homeRow);
+                value = w.man + w.advance * advanced + (row === homeRow ? w.backRow : 0);
+            }
+            score += piece === player ? value : -value;
+        }
+    }
+    const mobility = checkersLegalMoves(pos).length * w.mobility;
+    return score + (pos.currentPlayer === player ? mobility : -mobility);
+}
+
+// ============ SEARCH ============
+// Best move for the side to move: { move: { fromRow, fromCol, move }, score, depth, nodes }.
+// opts: { depth, timeMs, random } - random (default Math.random) breaks ties between equal moves.
+// A position with no legal moves returns move: null.
+function searchCheckers(pos, opts = {}) {
+    const maxDepth = opts.depth || 1;
+    const random = opts.random || Math.random;
+    const deadline = opts.timeMs ? Date.now() + opts.timeMs : Infinity;
+    const root = pos.currentPlayer;
+    const rootMoves = orderCheckersMoves(pos, checkersLegalMoves(pos));
+    const search = { nodes: 0, deadline, outOfTime: false };
+    if (rootMoves.length === 0) return { move: null, score: -CHECKERS_WIN, depth: 0, nodes: 0 };
+
+    let best = null;
+    // With a time budget, deepen one ply at a time; without one, go straight to maxDepth
+    for (let depth = opts.timeMs ? 1 : maxDepth; depth <= maxDepth; depth++) {
+        let bestScore = -Infinity, bestMoves = [];
+        for (const m of rootMoves) {
+            const child = applyCheckersMove(pos, m);
+            const score = checkersAlphaBeta(child, depth - 1, 1, bestScore - 1, Infinity, root, search);
+            if (search.outOfTime) break;
+            if (score > bestScore) {
+                bestScore = score;
+                bestMoves = [m];
+            } else if (score === bestScore) {
+                bestMoves.push(m);
+            }
+        }
+        if (search.outOfTime) break;
+        best = { move: bestMoves[Math.floor(random() * bestMoves.length)], score: bestScore, depth };
+        if (Math.abs(bestScore) >= CHECKERS_WIN - 1000) break;  // Forced result found
+    }
+    // Out of time before depth 1 finished: any legal move beats none
+    if (!best) best = { move: rootMoves[0], score: 0, depth: 0 };
+    return { ...best, nodes: search.nodes };
+}
+
+// Captures and crowning moves first, so alpha-beta cuts more
+function orderCheckersMoves(pos, moves) {
+    const kingRow = checkersKingRow(pos.variant, pos.currentPlayer);
+    const rank = m => (m.move.isCapture ? 2 : 0) + (m.move.finalRow === kingRow ? 1 : 0);
+    return moves.slice().sort((a, b) => rank(b) - rank(a));
+}
+
+// Minimax with alpha-beta from root's point of view. A multi-jump keeps the same side moving,
+// so whose turn it is decides max or min, not the ply count. A half-finished chain is never
+// scored: the search runs past depth 0 until the jumping piece stops.
+function checkersAlphaBeta(pos, depth, ply, alpha, beta, root, search) {
+    search.nodes++;
+    if ((search.nodes & 1023) === 0 && Date.now() > search.deadline) {
+        search.outOfTime = true;
+        return 0;
+    }
+    const moves = checkersLegalMoves(pos);
+    // No moves loses; sooner wins and later losses score higher
+    if (moves.length === 0) return pos.currentPlayer === root ? -CHECKERS_WIN + ply : CHECKERS_WIN - ply;
+    if (depth <= 0 && !pos.chainPiece) return evaluateCheckers(pos, root);
+
+    const maximizing = pos.currentPlayer === root;
+    let best = maximizing ? -Infinity : Infinity;
+    for (const m of orderCheckersMoves(pos, moves)) {
+        const score = checkersAlphaBeta(applyCheckersMove(pos, m), depth - 1, ply + 1, alpha, beta, root, search);
+        if (search.outOfTime) return 0;
+        if (maximizing) {
+            best = Math.max(best, score);
+            alpha = Math.max(alpha, score);
+        } else {
+            best = Math.min(best, score);
+            beta = Math.min(beta, score);
+        }
+        if (alpha >= beta) break;
+    }
+    return best;
+}
+
+// ============ HEADLESS GAMES ============
+// Mulberry32, as decay-engine.js's seededRandom, but local so games don't share state
+function checkersRng(seed) {
+    let state = (Number(seed) >>> 0) || 0x9E3779B9;
+    return () => {
+        let t = state += 0x6D2B79F5;
+        t = Math.imul(t ^ t >>> 15, t | 1);
+        t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+        return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+}
+
+// One AI-vs-AI game. human and claude are difficulty names from CHECKERS_DIFFICULTY (or
+// search opts); setup is an optional FEN start (see GAME RECORDS). Returns { winner:
+// 'human'|'claude'|null, plies, reason, record }; a game with no capture or crowning for
+// quietLimit plies, or longer than maxPlies, is a draw.
+function playCheckersGame(human, claude, { variant = 'classic', seed = 1, setup = null, maxPlies = 300, quietLimit = 60 } = {}) {
+    const sides = { human, claude };
+    const random = checkersRng(seed);
+    let pos = setup ? checkersPositionFromFen(variant, setup) : checkersStartPosition(variant);
+    const players = typeof human === 'string' && typeof claude === 'string' ? { human, claude } : null;
+    const record = newCheckersRecord(variant, { setup, players, seed });
+    const finish = (winner, plies, reason) => {
+        record.result = winner ? CHECKERS_RESULT_CODES[winner] : CHECKERS_RESULT_CODES.draw;
+        return { winner, plies, reason, record };
+    };
+    let quiet = 0;
+    for (let plies = 0; plies < maxPlies; plies++) {
+        const result = checkersResult(pos);
+        if (result) return finish(result.winner, plies, result.reason);
+        const level = sides[pos.currentPlayer];
+        const opts = typeof level === 'string' ? CHECKERS_DIFFICULTY[level] : level;
+        if (!opts) throw new Error(`Unknown checkers difficulty: ${level}`);
+        const { move } = searchCheckers(pos, { ...opts, random });
+        record.moves.push(checkersMoveNotation(pos, move));
+        pos = applyCheckersMove(pos, move);
+        quiet = pos.lastMove.isCapture || pos.lastMove.crowned ? 0 : quiet + 1;
+        if (quiet >= quietLimit) return finish(null, plies + 1, 'no progress');
+    }
+    return finish(null, maxPlies, 'move limit');
+}
+
+// Round-robin of two difficulties over n games, swapping colours every game.
+// Returns per-difficulty win counts plus draws.
+function runCheckersMatch(a, b, n, { variant = 'classic', seedStart = 1, maxPlies, quietLimit } = {}) {
+    const result = { a, b, games: n, aWins: 0, bWins: 0, draws: 0, plies: 0 };
+    for (let i = 0; i < n; i++) {
+        const aIsHuman = i % 2 === 0;
+        const game = playCheckersGame(aIsHuman ? a : b, aIsHuman ? b : a,
+            { variant, seed: seedStart + i, maxPlies, quietLimit });
+        result.plies += game.plies;
+        if (!game.winner) result.draws++;
+        else if ((game.winner === 'human') === aIsHuman) result.aWins++;
+        else result.bWins++;
+    }
+    return result;
+}
+
+// ============ GAME RECORDS ============
+// A record is { format: 'checkers-record', version, variant, setup, moves, result } plus optional
+// players { human, claude } and seed for AI games. moves holds one notation string per ply, so a
+// multi-jump is several entries. setup is a FEN-style start position (null for the variant's own).
+//
+// Notation numbers the dark squares 1..size*size/2, left to right from Claude's back row, as in
+// PDN. A ply is from-to for a step and fromxto for a capture, where to is the square the piece
+// moved onto; when a portal sent it on, >exit follows ('10x17>27'). In text records a
+// multi-jump is written as one turn: '10x17>27x18'.
+// Setup FEN: side to move, then each side's squares with K before kings: 'H:H21,22,K30:C1,2'.
+const CHECKERS_RECORD_FORMAT = 'checkers-record';
+const CHECKERS_RECORD_VERSION = 1;
+const CHECKERS_RESULT_CODES = { human: '1-0', claude: '0-1', draw: '1/2-1/2' };
+
+function checkersSquareNumber(variant, row, col) {
+    return row * (variant.size / 2) + Math.floor(col / 2) + 1;
+}
+
+// {row, col} of square number n, or null off the board
+function checkersSquareAt(variant, n) {
+    const half = variant.size / 2;
+    if (!Number.isInteger(n) || n < 1 || n > half * variant.size) return null;
+    const row = Math.floor((n - 1) / half);
+    return { row, col: 2 * ((n - 1) % half) + (row % 2 === 0 ? 1 : 0) };
+}
+
+// Notation of a legal { fromRow, fromCol, move } in pos
+function checkersMoveNotation(pos, { fromRow, fromCol, move }) {
+    const square = (row, col) => checkersSquareNumber(pos.variant, row, col);
+    const finalRow = move.finalRow ?? move.row, finalCol = move.finalCol ?? move.col;
+    let text = `${square(fromRow, fromCol)}${move.isCapture ? 'x' : '-'}${square(move.row, move.col)}`;
+    if (finalRow !== move.row || finalCol !== move.col) text += `>${square(finalRow, finalCol)}`;
+    return text;
+}
+
+// The legal { fromRow, fromCol, move } a ply's notation names in pos; throws when there is none.
+// A portal exit may be left out, but one that's given must be where the move ends.
+function parseCheckersMove(pos, text) {
+    const match = /^(\d+)([-x])(\d+)(?:>(\d+))?$/.exec(String(text).trim());
+    if (!match) throw new Error(`Bad checkers move '${text}'`);
+    const from = checkersSquareAt(pos.variant, Number(match[1]));
+    const to = checkersSquareAt(pos.variant, Number(match[3]));
+    const legal = from && to && checkersLegalMoves(pos).find(m =>
+        m.fromRow === from.row && m.fromCol === from.col &&
+        m.move.row === to.row && m.move.col === to.col && m.move.isCapture === (match[2] === 'x'));
+    if (!legal) throw new Error(`Illegal checkers move '${text}' for ${pos.currentPlayer}`);
+    if (match[4] && checkersMoveNotation(pos, legal) !== String(text).trim()) {
+        throw new Error(`Checkers move '${text}' ends on ${checkersMoveNotation(pos, legal)}`);
+    }
+    return legal;
+}
+
+function checkersFen(pos) {
+    const squares = { human: [], claude: [] };
+    const { size } = pos.variant;
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            const piece = pos.board[row][col];
+            if (piece) squares[piece].push(`${pos.kings[row][col] ? 'K' : ''}${checkersSquareNumber(pos.variant, row, col)}`);
+        }
+    }
+    return `${pos.currentPlayer === 'human' ? 'H' : 'C'}:H${squares.human.join(',')}:C${squares.claude.join(',')}`;
+}
+
+function checkersPositionFromFen(variant, fen) {
+    variant = getCheckersVariant(variant);
+    const match = /^([HC]):H([K\d,]*):C([K\d,]*)$/.exec(String(fen).replace(/\s+/g, ''));
+    if (!match) throw new Error(`Bad checkers setup '${fen}'`);
+    const pos = checkersStartPosition(variant);
+    for (const row of pos.board) row.fill(null);
+    for (const [player, list] of [['human', match[2]], ['claude', match[3]]]) {
+        for (const item of list.split(',').filter(Boolean)) {
+            const square = checkersSquareAt(variant, Number(item.replace(/^K/, '')));
+            if (!square || pos.board[square.row][square.col]) {
+                throw new Error(`Bad square '${item}' in checkers setup '${fen}'`);
+            }
+            pos.board[square.row][square.col] = player;
+            pos.kings[square.row][square.col] = item.startsWith('K');
+        }
+    }
+    pos.currentPlayer = match[1] === 'H' ? 'human' : 'claude';
+    return pos;
+}
+
+// '1-0' (human won), '0-1' (Claude won) or '*' while pos is still being played
+function checkersResultCode(pos) {
+    const result = checkersResult(pos);
+    return result ? CHECKERS_RESULT_CODES[result.winner] : '*';
+}
+
+function newCheckersRecord(variant, { setup = null, players = null, seed = null } = {}) {
+    const record = {
+        format: CHECKERS_RECORD_FORMAT,
+        version: CHECKERS_RECORD_VERSION,
+        variant: getCheckersVariant(variant).name,
+        setup,
+        moves: [],
+        result: '*'
+    };
+    if (players) record.players = { ...players };
+    if (seed !== null && seed !== undefined) record.seed = seed;
+    return record;
+}
+
+// Every position of a record: [start, after ply 1, ...]. Throws on the first illegal ply.
+function checkersRecordPositions(record) {
+    let pos = record.setup ? checkersPositionFromFen(record.variant, record.setup) : checkersStartPosition(record.variant);
+    const positions = [pos];
+    record.moves.forEach((ply, i) => {
+        let move;
+        try {
+            move = parseCheckersMove(pos, ply);
+        } catch (e) {
+            throw new Error(`Ply ${i + 1}: ${e.message}`);
+        }
+        pos = applyCheckersMove(pos, move);
+        positions.push(pos);
+    });
+    return positions;
+}
+
+// Index of the position where the turn that led to positions[index] began; all the jumps of
+// a multi-jump are one turn
+function checkersTurnStart(positions, index) {
+    let start = Math.max(0, index - 1);
+    while (start > 0 && positions[start].chainPiece) start--;
+    return start;
+}
+
+// PDN-style text: tag pairs, then numbered turns (the human's first) and the result
+function checkersRecordText(record) {
+    const positions = checkersRecordPositions(record);
+    const tags = [['Event', 'Checkers'], ['Variant', record.variant]];
+    if (record.setup) tags.push(['Setup', record.setup]);
+    if (record.players) tags.push(['Human', record.players.human], ['Claude', record.players.claude]);
+    if (record.seed !== undefined) tags.push(['Seed', record.seed]);
+    tags.push(['Result', record.result]);
+
+    const turns = [];
+    record.moves.forEach((ply, i) => {
+        if (positions[i].chainPiece) turns[turns.length - 1].text += ply.replace(/^\d+/, '');
+        else turns.push({ player: positions[i].currentPlayer, text: ply });
+    });
+    const words = [];
+    let number = 1;
+    turns.forEach((turn, i) => {
+        if (turn.player === 'human') words.push(`${number}.`);
+        else if (i === 0) words.push(`${number}...`);
+        words.push(turn.text);
+        if (turn.player === 'claude') number++;
+    });
+    words.push(record.result);
+
+    const lines = tags.map(([tag, value]) => `[${tag} "${value}"]`);
+    lines.push('');
+    let line = '';
+    for (const word of words) {
+        if (line && line.length + word.length >= 80) {
+            lines.push(line);
+            line = '';
+        }
+        line += (line ? ' ' : '') + word;
+    }
+    lines.push(line);
+    return lines.join('\n') + '\n';
+}
+
+function checkersRecordJSON(record) {
+    return JSON.stringify(record, null, 2);
+}
+
+// A record from checkersRecordText or checkersRecordJSON output. Checks the format, not the
+// moves: replay it with checkersRecordPositions for that.
+function parseCheckersRecord(text) {
+    text = String(text).trim();
+    if (text.startsWith('{')) {
+        const data = JSON.parse(text);
+        if (data.format !== CHECKERS_RECORD_FORMAT) throw new Error(`Not a checkers record (format '${data.format}')`);
+        if (data.version > CHECKERS_RECORD_VERSION) throw new Error(`Checkers record version ${data.version} is newer than this engine`);
+        if (!Array.isArray(data.moves) || data.moves.some(m => typeof m !== 'string')) {
+            throw new Error('Checkers record moves must be a list of notation strings');
+        }
+        const record = newCheckersRecord(data.variant, { setup: data.setup || null, players: data.players, seed: data.seed });
+        record.moves = data.moves.slice();
+        record.result = data.result || '*';
+        return record;
+    }
+
+    const tags = {};
+    const movetext = text
+        .replace(/\[(\w+)\s+"([^"]*)"\]/g, (_, tag, value) => { tags[tag] = value; return ' '; })
+        .replace(/\{[^}]*\}/g, ' ');  // Comments
+    const moves = [];
+    let result = tags.Result || '*';
+    for (let word of movetext.split(/\s+/)) {
+        word = word.replace(/^\d+\.+/, '');  // Turn numbers
+        if (!word) continue;
+        if (word === '*' || Object.values(CHECKERS_RESULT_CODES).includes(word)) {
+            result = word;
+            continue;
+        }
+        const turn = /^(\d+)((?:[-x]\d+(?:>\d+)?)+)$/.exec(word);
+        if (!turn) throw new Error(`Bad checkers move '${word}'`);
+        let from = turn[1];
+        for (const [, sep, to, exit] of turn[2].matchAll(/([-x])(\d+)(?:>(\d+))?/g)) {
+            moves.push(`${from}${sep}${to}${exit ? '>' + exit : ''}`);
+            from = exit || to;
+        }
+    }
+    const players = tags.Human && tags.Claude ? { human: tags.Human, claude: tags.Claude } : null;
+    const record = newCheckersRecord(tags.Variant || 'classic', {
+        setup: tags.Setup || null, players, seed: tags.Seed !== undefined ? Number(tags.Seed) : null
+    });
+    record.moves = moves;
+    record.result = result;
+    return record;
+}
+
+// Checks a record as a regression fixture. Rules: every ply is legal and a decided game's result
+// matches its last position. AI: a record with players (difficulty names) is played again with
+// playCheckersGame from the same seed and setup and has to come out move for move the same;
+// that needs fixed-depth levels, as 'expert' stops on a timer. Returns { passed, issues, positions }.
+function verifyCheckersRecord(record, { ai = true } = {}) {
+    const issues = [];
+    let positions;
+    try {
+        positions = checkersRecordPositions(record);
+    } catch (e) {
+        return { passed: false, issues: [e.message], positions: [] };
+    }
+    const code = checkersResultCode(positions[positions.length - 1]);
+    if (code !== '*' && record.result !== code) issues.push(`result is ${record.result} but the game ended ${code}`);
+    if (code === '*' && (record.result === '1-0' || record.result === '0-1')) issues.push(`result is ${record.result} but the game is not over`);
+
+    if (ai && record.players) {
+        const game = playCheckersGame(record.players.human, record.players.claude,
+            { variant: record.variant, seed: record.seed ?? 1, setup: record.setup });
+        const replayed = game.record.moves;
+        const length = Math.max(replayed.length, record.moves.length);
+        for (let i = 0; i < length; i++) {
+            if (replayed[i] !== record.moves[i]) {
+                issues.push(`AI replay differs at ply ${i + 1}: ${replayed[i] || 'end'} instead of ${record.moves[i] || 'end'}`);
+                break;
+            }
+        }
+        if (game.record.result !== record.result) issues.push(`AI replay ended ${game.record.result} instead of ${record.result}`);
+    }
+    return { passed: issues.length === 0, issues, positions };
+}
+
+// ============ PLAY SESSIONS ============
+// A page's gameState around its record: both pages keep board, kings, currentPlayer, chainPiece,
+// selectedPiece, validMoves, humanCaptured, claudeCaptured, lastMove, gameOver, winner, variant,
+// record, redoMoves (plies taken back, oldest first) and reviewIndex (null while playing).
+// Undo and redo move plies between record and redoMoves; review only shows earlier positions.
+// singleTurn (the portals page with its AI off) undoes and redoes one turn at a time instead of
+// going back to the human's turn.
+
+// Add a ply to the record as it's played; a new move drops whatever Undo took back
+function recordCheckersPly(game, pos, step) {
+    game.record.moves.push(checkersMoveNotation(pos, step));
+    game.redoMoves = [];
+}
+
+// Put the game on position index of its record; the last one is the live game
+function showCheckersRecordPosition(game, index) {
+    const positions = checkersRecordPositions(game.record);
+    const pos = positions[index];
+    game.board = pos.board;
+    game.kings = pos.kings;
+    game.currentPlayer = pos.currentPlayer;
+    game.chainPiece = pos.chainPiece;
+    if ('moveNumber' in game) game.moveNumber = index;
+
+    // Captures up to here, counted for the side that made them
+    game.humanCaptured = 0;
+    game.claudeCaptured = 0;
+    for (let i = 1; i <= index; i++) {
+        if (!positions[i].lastMove.isCapture) continue;
+        if (positions[i - 1].currentPlayer === 'human') game.humanCaptured++;
+        else game.claudeCaptured++;
+    }
+
+    const last = pos.lastMove;
+    game.lastMove = last ? { fromRow: last.fromRow, fromCol: last.fromCol, toRow: last.toRow, toCol: last.toCol } : null;
+    const result = checkersResult(pos);
+    game.gameOver = result !== null;
+    game.winner = result ? result.winner : null;
+    const chain = game.reviewIndex === null ? pos.chainPiece : null;
+    game.selectedPiece = chain ? { ...chain } : null;
+    game.validMoves = chain ? checkersLegalMovesFrom(pos, chain.row, chain.col) : [];
+    return positions;
+}
+
+// Back to the end of the record; returns checkersResult of the live position
+function showLiveCheckersGame(game) {
+    game.reviewIndex = null;
+    const live = showCheckersRecordPosition(game, game.record.moves.length).pop();
+    // A drawn record (from a headless match) keeps its result while the game isn't over
+    const code = checkersResultCode(live);
+    if (code !== '*' || game.record.result !== CHECKERS_RESULT_CODES.draw) game.record.result = code;
+    return checkersResult(live);
+}
+
+// Take back the last turn (all of a multi-jump), and unless singleTurn go on to the human's
+// previous turn so Claude's reply goes too. Returns whether anything was taken back.
+function undoCheckersTurn(game, { singleTurn = false } = {}) {
+    const record = game.record;
+    let positions = checkersRecordPositions(record);
+    const before = record.moves.length;
+    let undoneHuman = false;
+    do {
+        const start = checkersTurnStart(positions, positions.length - 1);
+        if (start === positions.length - 1) break;
+        undoneHuman = undoneHuman || positions[start].currentPlayer === 'human';
+        game.redoMoves.unshift(...record.moves.splice(start));
+        positions = positions.slice(0, start + 1);
+    } while (!singleTurn && (!undoneHuman || positions[positions.length - 1].currentPlayer !== 'human'));
+    showLiveCheckersGame(game);
+    return record.moves.length < before;
+}
+
+// Replay the next taken-back turn, and unless singleTurn Claude's reply too
+function redoCheckersTurn(game, { singleTurn = false } = {}) {
+    if (game.redoMoves.length === 0) return false;
+    const record = game.record;
+    let pos = checkersRecordPositions(record).pop();
+    do {
+        const ply = game.redoMoves.shift();
+        pos = applyCheckersMove(pos, parseCheckersMove(pos, ply));
+        record.moves.push(ply);
+    } while (game.redoMoves.length > 0 && (pos.chainPiece || (!singleTurn && pos.currentPlayer === 'claude')));
+    showLiveCheckersGame(game);
+    return true;
+}
+
+// Show position index of the record (clamped) without touching it
+function reviewCheckersRecord(game, index) {
+    game.reviewIndex = Math.max(0, Math.min(game.record.moves.length, index));
+    showCheckersRecordPosition(game, game.reviewIndex);
+}
+
+// Leave review; playFromHere takes back the plies after the reviewed position (redo restores them)
+function endCheckersReview(game, playFromHere = false) {
+    if (playFromHere) game.redoMoves = [...game.record.moves.splice(game.reviewIndex), ...game.redoMoves];
+    return showLiveCheckersGame(game);
+}
+
+// Carry on from the last position of a PDN or JSON record. Each page plays its own variants
+// (portals: true for checkers-portals.html); throws on another page's or an illegal record.
+function loadCheckersRecord(game, text, { portals = false } = {}) {
+    const record = parseCheckersRecord(text);
+    if (!!getCheckersVariant(record.variant).portals !== portals) {
+        throw new Error(`'${record.variant}' is played on ${portals ? 'checkers.html' : 'checkers-portals.html'}`);
+    }
+    checkersRecordPositions(record);
+    game.variant = record.variant;
+    game.record = record;
+    game.redoMoves = [];
+    return showLiveCheckersGame(game);
+}
+
+// What the review bar shows for the position under review
+function checkersReviewLabel(game) {
+    const { moves } = game.record;
+    const index = game.reviewIndex;
+    return index === 0 ? `Start (0/${moves.length})` : `Ply ${index}/${moves.length}: ${moves[index - 1]}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CHECKERS_DIFFICULTY, CHECKERS_WEIGHTS, CHECKERS_VARIANTS,
+        registerCheckersVariant, getCheckersVariant, checkersRulesText,
+        checkersOpponent, checkersKingRow, checkersPosition, checkersStartPosition, checkersPortalAt,
+        checkersPortalLanding, checkersPieceMoves, checkersMustCapture, checkersLegalMoves,
+        checkersLegalMovesFrom, applyCheckersMove, countCheckersPieces, checkersResult, checkersWinner,
+        evaluateCheckers, searchCheckers, playCheckersGame, runCheckersMatch,
+        CHECKERS_RECORD_FORMAT, CHECKERS_RECORD_VERSION, CHECKERS_RESULT_CODES,
+        checkersSquareNumber, checkersSquareAt, checkersMoveNotation, parseCheckersMove,
+        checkersFen, checkersPositionFromFen, checkersResultCode, newCheckersRecord,
+        checkersRecordPositions, checkersTurnStart, checkersRecordText, checkersRecordJSON,
+        parseCheckersRecord, verifyCheckersRecord,
+        recordCheckersPly, showCheckersRecordPosition, showLiveCheckersGame, undoCheckersTurn,
+        redoCheckersTurn, reviewCheckersRecord, endCheckersReview, loadCheckersRecord, checkersReviewLabel
+    };
+}
@@ -0,0 +1,131 @@
+// Page code shared by checkers.html and checkers-portals.html: undo/redo, review, and the
+// record's export and import, on top of PLAY SESSIONS in checkers-engine.js. Loaded after the
+// engine (<script src="checkers-page.js">); it works on the page's gameState and calls its
+// renderBoard, showMessage and hideMessage. What differs between the pages goes through
+// checkersPageHooks below.
+
+// ============ PAGE HOOKS ============
+const checkersPageHooks = {
+    portals: false,                    // The page plays the variants with portals (see loadCheckersRecord)
+    singleTurn: () => false,           // Undo/redo one turn at a time instead of back to the human's turn
+    announceResult: (result) => {},    // Show a finished game; result is checkersResult() of the live position
+    logEvent: (message, className) => {}
+};
+
+function setCheckersPageHooks(hooks) {
+    Object.assign(checkersPageHooks, hooks);
+}
+
+// ============ GAME RECORD, UNDO & REVIEW ============
+// executeMove adds every ply to gameState.record (recordCheckersPly); clicks and Claude wait
+// while a review is on.
+
+// Messages and board for the live game, after undo, redo, review or loading a record
+function showLiveGame() {
+    if (gameState.gameOver) checkersPageHooks.announceResult(checkersResult(checkersPosition(gameState, gameState.variant)));
+    else if (gameState.chainPiece) showMessage('Keep jumping! The same piece must capture again.', 'info');
+    else hideMessage();
+    renderBoard();
+}
+
+function undoMove() {
+    if (gameState.isClaudeTurn || gameState.reviewIndex !== null) return;
+    undoCheckersTurn(gameState, {singleTurn: checkersPageHooks.singleTurn()});
+    showLiveGame();
+    checkersPageHooks.logEvent(`Undo: back to ply ${gameState.record.moves.length}`, 'game-event');
+}
+
+function redoMove() {
+    if (gameState.isClaudeTurn || gameState.reviewIndex !== null) return;
+    if (!redoCheckersTurn(gameState, {singleTurn: checkersPageHooks.singleTurn()})) return;
+    showLiveGame();
+    checkersPageHooks.logEvent(`Redo: forward to ply ${gameState.record.moves.length}`, 'game-event');
+}
+
+// Step through the record from the opening position
+function startReview() {
+    if (gameState.isClaudeTurn || gameState.record.moves.length === 0) return;
+    gameState.reviewIndex = 0;
+    reviewStep(0);
+}
+
+function reviewStep(delta) {
+    if (gameState.reviewIndex === null) return;
+    reviewCheckersRecord(gameState, gameState.reviewIndex + delta);
+    hideMessage();
+    renderBoard();
+}
+
+// Leave review; playFromHere takes back the plies after the reviewed position (Redo restores them)
+function endReview(playFromHere = false) {
+    if (gameState.reviewIndex === null) return;
+    endCheckersReview(gameState, playFromHere);
+    showLiveGame();
+    if (playFromHere) checkersPageHooks.logEvent(`Playing on from ply ${gameState.record.moves.length}`, 'game-event');
+}
+
+function updateRecordPanel() {
+    const moves = gameState.record.moves;
+    const reviewing = gameState.reviewIndex !== null;
+    document.getElementById('undoBtn').disabled = reviewing || moves.length === 0;
+    document.getElementById('redoBtn').disabled = reviewing || gameState.redoMoves.length === 0;
+    document.getElementById('reviewBtn').disabled = reviewing || moves.length === 0;
+    document.getElementById('reviewBar').style.display = reviewing ? 'flex' : 'none';
+    if (reviewing) document.getElementById('reviewLabel').textContent = checkersReviewLabel(gameState);
+}
+
+// The record as PDN text or JSON, for Claude, the console or an export
+function getGameRecord(format = 'pdn') {
+    return format === 'json' ? checkersRecordJSON(gameState.record) : checkersRecordText(gameState.record);
+}
+
+function exportRecord(format = 'pdn') {
+    const blob = new Blob([getGameRecord(format)], {type: format === 'json' ? 'application/json' : 'text/plain'});
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `checkers_${gameState.variant}_${gameState.record.moves.length}ply.${format}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+function importRecord() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.pdn,.txt,.json';
+    input.onchange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (evt) => loadRecordText(evt.target.result);
+        reader.readAsText(file);
+    };
+    input.click();
+}
+
+// Load a PDN or JSON record and carry on from its last position (Review steps through it).
+// Returns null, or why the record was rejected.
+function loadRecordText(text) {
+    if (gameState.isClaudeTurn) return 'Claude is moving';
+    try {
+        loadCheckersRecord(gameState, text, {portals: checkersPageHooks.portals});
+    } catch (err) {
+        showMessage(`Could not load record: ${err.message}`, 'info');
+        return err.message;
+    }
+    const record = gameState.record;
+    document.getElementById('variantSelect').value = record.variant;
+    document.getElementById('gameInfo').textContent = checkersRulesText(record.variant);
+    showLiveGame();
+    checkersPageHooks.logEvent(`Loaded record: ${record.variant}, ${record.moves.length} plies, ${record.result}`, 'game-event');
+    return null;
+}
+
+// Arrow keys step through a review
+document.addEventListener('keydown', (e) => {
+    if (gameState.reviewIndex === null) return;
+    if (e.key === 'ArrowLeft') reviewStep(-1);
+    else if (e.key === 'ArrowRight') reviewStep(1);
+});
@@ -0,0 +1,352 @@
+// Checkers test suite. Depends only on checkers-engine.js, so it runs headless in Node
+// (test-runner.js --suite checkers) or in either checkers page's console.
+
+// ============ CHECKERS TEST SUITE ============
+const CheckersTestSuite = {
+    // A position of the given variant with only the listed pieces: [row, col, player, king?]
+    position: function(variant, pieces, currentPlayer = 'human') {
+        const pos = checkersStartPosition(variant);
+        for (const row of pos.board) row.fill(null);
+        for (const [row, col, player, king] of pieces) {
+            pos.board[row][col] = player;
+            pos.kings[row][col] = !!king;
+        }
+        pos.currentPlayer = currentPlayer;
+        return pos;
+    },
+
+    // Plays a move given as from/to squares; null when it isn't legal
+    play: function(pos, fromRow, fromCol, toRow, toCol) {
+        const move = checkersLegalMovesFrom(pos, fromRow, fromCol).find(m => m.row === toRow && m.col === toCol);
+        return move ? applyCheckersMove(pos, { fromRow, fromCol, move }) : null;
+    },
+
+    // Test 1: Every registered variant starts with full, mirrored sides on free dark squares
+    testStartPositions: function() {
+        const issues = [];
+        for (const variant of Object.values(CHECKERS_VARIANTS)) {
+            const pos = checkersStartPosition(variant);
+            const human = countCheckersPieces(pos, 'human'), claude = countCheckersPieces(pos, 'claude');
+            const portalsInRows = (from, to) => Object.values(variant.portals || {}).flat()
+                .filter(p => p.row >= from && p.row < to).length;
+            const expected = variant.size / 2 * variant.pieceRows;
+            if (claude !== expected - portalsInRows(0, variant.pieceRows)) issues.push(`${variant.name}: ${claude} claude pieces`);
+            if (human !== expected - portalsInRows(variant.size - variant.pieceRows, variant.size)) issues.push(`${variant.name}: ${human} human pieces`);
+            for (let row = 0; row < variant.size; row++) {
+                for (let col = 0; col < variant.size; col++) {
+                    if (pos.board[row][col] && ((row + col) % 2 === 0 || checkersPortalAt(variant, row, col))) {
+                        issues.push(`${variant.name}: piece on (${row},${col})`);
+                    }
+                }
+            }
+            if (pos.currentPlayer !== 'human' || checkersLegalMoves(pos).length === 0) issues.push(`${variant.name}: human can't open`);
+        }
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 2: Men only step forward, a man reaching the far row is crowned, kings go both ways
+    testKings: function() {
+        const issues = [];
+        let pos = this.position('classic', [[1, 2, 'human'], [4, 3, 'claude']]);
+        const steps = checkersLegalMovesFrom(pos, 1, 2).map(m => `${m.row},${m.col}`).sort();
+        if (steps.join('|') !== '0,1|0,3') issues.push(`man moves ${steps.join('|')}`);
+        pos = this.play(pos, 1, 2, 0, 1);
+        if (!pos || !pos.kings[0][1] || !pos.lastMove.crowned) issues.push('man on row 0 not crowned');
+        if (pos?.currentPlayer !== 'claude') issues.push('crowning move did not pass the turn');
+
+        pos = this.position('classic', [[3, 2, 'claude', true], [0, 5, 'human']], 'claude');
+        const kingSteps = checkersLegalMovesFrom(pos, 3, 2).map(m => `${m.row},${m.col}`).sort();
+        if (kingSteps.join('|') !== '2,1|2,3|4,1|4,3') issues.push(`king moves ${kingSteps.join('|')}`);
+        pos = this.position('classic', [[3, 2, 'claude', true], [2, 3, 'human'], [5, 0, 'human']], 'claude');
+        if (!this.play(pos, 3, 2, 1, 4)) issues.push('king cannot capture backwards');
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 3: A capture chain keeps the same piece jumping, through portals too, and crowning ends it
+    testMultiJump: function() {
+        const issues = [];
+        let pos = this.position('classic', [[5, 0, 'human'], [4, 1, 'claude'], [2, 3, 'claude'], [0, 5, 'claude'], [1, 0, 'human']]);
+        pos = this.play(pos, 5, 0, 3, 2);
+        if (!pos || pos.currentPlayer !== 'human' || pos.chainPiece?.row !== 3) issues.push('chain did not continue');
+        if (pos && checkersLegalMovesFrom(pos, 1, 0).length > 0) issues.push('another piece may move mid-chain');
+        pos = pos && this.play(pos, 3, 2, 1, 4);
+        if (!pos || pos.currentPlayer !== 'claude' || pos.chainPiece) issues.push('chain did not end');
+
+        // Jump onto blue (1,2), come out at (4,1), then jump again from there
+        pos = this.position('portals', [[3, 4, 'human'], [2, 3, 'claude'], [3, 2, 'claude'], [0, 1, 'claude']]);
+        pos = this.play(pos, 3, 4, 1, 2);
+        if (!pos || pos.board[4][1] !== 'human' || !pos.lastMove.portalUsed) issues.push('capture did not teleport');
+        if (pos?.chainPiece?.row !== 4 || pos?.chainPiece?.col !== 1) issues.push('chain did not continue from the portal exit');
+        pos = pos && this.play(pos, 4, 1, 2, 3);
+        if (!pos || countCheckersPieces(pos, 'claude') !== 1) issues.push('second jump from the portal exit failed');
+
+        pos = this.position('classic', [[2, 5, 'human'], [1, 4, 'claude'], [1, 2, 'claude'], [5, 0, 'claude']]);
+        pos = this.play(pos, 2, 5, 0, 3);
+        if (!pos || !pos.kings[0][3] || pos.chainPiece || pos.currentPlayer !== 'claude') issues.push('crowning did not end the chain');
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 4: Forced capture in classic, optional in casual; a started chain is forced in both
+    testCaptureRules: function() {
+        const issues = [];
+        const pieces = [[4, 1, 'human'], [3, 2, 'claude'], [4, 5, 'human'], [0, 1, 'claude']];
+        const forced = checkersLegalMoves(this.position('classic', pieces));
+        if (forced.length !== 1 || !forced[0].move.isCapture) issues.push(`classic: ${forced.length} moves`);
+        if (!checkersMustCapture(this.position('classic', pieces))) issues.push('classic: mustCapture false');
+        const casual = checkersLegalMoves(this.position('casual', pieces));
+        if (casual.length !== 3) issues.push(`casual: ${casual.length} moves, expected 3`);
+        if (checkersMustCapture(this.position('casual', pieces))) issues.push('casual: mustCapture true');
+
+        let pos = this.position('casual', [[5, 0, 'human'], [4, 1, 'claude'], [2, 3, 'claude'], [5, 4, 'human']]);
+        pos = this.play(pos, 5, 0, 3, 2);
+        if (!pos?.chainPiece || checkersLegalMoves(pos).some(m => !m.move.isCapture)) issues.push('casual chain not forced');
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 5: Game over when the side to move has no pieces or no moves
+    testResults: function() {
+        const issues = [];
+        let pos = this.position('classic', [[3, 2, 'human'], [2, 3, 'claude']], 'human');
+        pos = this.play(pos, 3, 2, 1, 4);
+        const gone = pos && checkersResult(pos);
+        if (gone?.winner !== 'human' || gone?.reason !== 'no pieces') issues.push(`captured out: ${JSON.stringify(gone)}`);
+
+        // The human's only man is wedged in the corner: forward is taken and the jump is off the board
+        pos = this.position('classic', [[1, 0, 'human'], [0, 1, 'claude']], 'human');
+        const stuck = checkersResult(pos);
+        if (stuck?.winner !== 'claude' || stuck?.reason !== 'no moves') issues.push(`blocked in: ${JSON.stringify(stuck)}`);
+        if (checkersResult(checkersStartPosition('8x8')) !== null) issues.push('opening position is over');
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 6: registerCheckersVariant rejects layouts the rules can't play
+    testVariantValidation: function() {
+        const issues = [];
+        const rejects = (name, def) => {
+            try {
+                registerCheckersVariant(name, def);
+            } catch (e) {
+                return true;
+            }
+            delete CHECKERS_VARIANTS[name];
+            return false;
+        };
+        if (!rejects('test-odd-size', { size: 7 })) issues.push('odd board size accepted');
+        if (!rejects('test-crowded', { size: 6, pieceRows: 3 })) issues.push('sides touching accepted');
+        if (!rejects('test-light-portal', { portals: { blue: [{ row: 2, col: 2 }, { row: 3, col: 1 }] } })) issues.push('portal on a light square accepted');
+        if (!rejects('test-lone-portal', { portals: { blue: [{ row: 2, col: 1 }] } })) issues.push('unpaired portal accepted');
+        if (!rejects('test-shared', { portals: { blue: [{ row: 2, col: 1 }, { row: 3, col: 2 }], orange: [{ row: 2, col: 1 }, { row: 3, col: 4 }] } })) {
+            issues.push('shared portal square accepted');
+        }
+
+        // A land hook decides where moves end: this one leaves the portals drawn but switched off
+        const inert = registerCheckersVariant('test-inert-portals', {
+            portals: CHECKERS_VARIANTS.portals.portals,
+            land: (pos, row, col, move) => ({ ...move, finalRow: row, finalCol: col })
+        });
+        const moved = this.play(this.position(inert, [[2, 1, 'human'], [5, 0, 'claude']]), 2, 1, 1, 2);
+        if (moved?.board[1][2] !== 'human') issues.push('land hook ignored');
+        delete CHECKERS_VARIANTS['test-inert-portals'];
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 7: The search takes a winning double jump and deeper search beats shallower
+    testSearch: function() {
+        const issues = [];
+        const pos = this.position('classic', [[5, 0, 'human'], [4, 1, 'claude'], [2, 3, 'claude'], [5, 4, 'human']]);
+        const best = searchCheckers(pos, { depth: 3, random: () => 0 });
+        if (best.move?.fromRow !== 5 || best.move?.fromCol !== 0) issues.push(`did not start the double jump: ${JSON.stringify(best.move)}`);
+        if (best.score < CHECKERS_WIN - 1000) issues.push(`winning line scored ${best.score}`);
+
+        const match = runCheckersMatch('hard', 'easy', 6, { variant: 'classic', seedStart: 1 });
+        if (match.aWins <= match.bWins) issues.push(`hard ${match.aWins} - easy ${match.bWins}`);
+        const portals = runCheckersMatch('medium', 'easy', 4, { variant: 'portals', seedStart: 1 });
+        if (portals.aWins <= portals.bWins) issues.push(`portals: medium ${portals.aWins} - easy ${portals.bWins}`);
+        return { passed: issues.length === 0, issues, match: `${match.aWins}-${match.bWins}-${match.draws}` };
+    },
+
+    // Test 8: Notation, FEN setups and PDN/JSON records survive a round trip; bad ones are refused
+    testRecords: function() {
+        const issues = [];
+        const variant = getCheckersVariant('portals');
+        for (let n = 1; n <= 18; n++) {
+            const { row, col } = checkersSquareAt(variant, n);
+            if ((row + col) % 2 !== 1 || checkersSquareNumber(variant, row, col) !== n) issues.push(`square ${n} maps to (${row},${col})`);
+        }
+
+        // A capture onto blue (1,2) that comes out at (4,1) and jumps on: one turn, two plies
+        const pos = this.position('portals', [[3, 4, 'human'], [2, 3, 'claude'], [3, 2, 'claude'], [0, 1, 'claude']]);
+        const jump = checkersLegalMoves(pos)[0];
+        if (checkersMoveNotation(pos, jump) !== '12x5>13') issues.push(`portal capture written ${checkersMoveNotation(pos, jump)}`);
+        if (checkersPositionFromFen('portals', checkersFen(pos)).board.join() !== pos.board.join()) issues.push('FEN round trip lost pieces');
+        const record = newCheckersRecord('portals', { setup: checkersFen(pos) });
+        record.moves = ['12x5>13', '13x8', '1-5>13'];
+        const text = checkersRecordText(record);
+        if (!text.includes('1. 12x5>13x8 1-5>13 *')) issues.push(`turns written as ${text.trim().split('\n').pop()}`);
+        for (const [format, copy] of [['text', parseCheckersRecord(text)], ['JSON', parseCheckersRecord(checkersRecordJSON(record))]]) {
+            if (JSON.stringify(copy) !== JSON.stringify(record)) issues.push(`${format} round trip changed the record`);
+        }
+        const positions = checkersRecordPositions(record);
+        if (checkersTurnStart(positions, 2) !== 0 || checkersTurnStart(positions, 3) !== 2) issues.push('multi-jump not grouped into one turn');
+
+        const refuses = (what, fn) => {
+            try {
+                fn();
+                issues.push(`accepted ${what}`);
+            } catch (e) {
+                // Expected
+            }
+        };
+        refuses('a move that is not legal', () => checkersRecordPositions(parseCheckersRecord('1. 13-10 4-7 2. 10-6 *')));
+        refuses('a wrong portal exit', () => parseCheckersMove(pos, '12x5>4'));
+        refuses('an unknown format', () => parseCheckersRecord('{"format": "replay"}'));
+        refuses('a FEN square off the board', () => checkersPositionFromFen('classic', 'H:H19:C1'));
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Recorded games kept as regression fixtures: the AI ones must replay move for move from
+    // their seed, so an intended change to rules, evaluation or search means re-recording them
+    // (test-runner.js --checkers-record, checked by --verify-checkers)
+    fixtures: [
+        // Portal captures: 12x5>13 lands on orange and comes out on its twin
+        `[Event "Checkers"]
+[Variant "portals"]
+[Human "hard"]
+[Claude "easy"]
+[Seed "4"]
+[Result "1-0"]
+
+1. 14-12 1-5>13 2. 16x11 2-5>13 3. 17x10 6-8 4. 12x5>13 3-6 5. 11-7 6-9 6. 18-14
+9-12 7. 14x9 1-0`,
+        // A double jump (6. 17x12x5) and a crowning (5-2)
+        `[Event "Checkers"]
+[Variant "classic"]
+[Human "medium"]
+[Claude "hard"]
+[Seed "2"]
+[Result "1-0"]
+
+1. 14-12 5-8 2. 12x5 2x7 3. 15-12 6-8 4. 12x5 1x8 5. 13-11 7x14 6. 17x12x5 4-7
+7. 5-2 7-11 8. 2-5 3-6 9. 5-8 6-9 10. 8x13 9-12 11. 13-10 12-14 12. 18x11 1-0`,
+        // Rules only: a jump through blue then on from its exit, then Claude steps through orange
+        `[Event "Checkers"]
+[Variant "portals"]
+[Setup "H:H12:C1,8,11"]
+[Result "*"]
+
+1. 12x5>13x8 1-4>15 *`
+    ],
+
+    // Test 9: Every fixture record replays legally and the AI ones come out the same
+    testFixtures: function() {
+        const issues = [];
+        this.fixtures.forEach((text, i) => {
+            const record = parseCheckersRecord(text);
+            const check = verifyCheckersRecord(record);
+            for (const issue of check.issues) issues.push(`fixture ${i + 1}: ${issue}`);
+            if (checkersRecordText(record).trim() !== text.trim()) issues.push(`fixture ${i + 1}: written back differently`);
+        });
+        const last = checkersRecordPositions(parseCheckersRecord(this.fixtures[2])).pop();
+        if (checkersFen(last) !== 'H:H8:C15') issues.push(`setup fixture ended on ${checkersFen(last)}`);
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 10: Play sessions: undo goes back to the human's turn (one turn with singleTurn, a
+    // whole multi-jump at once), redo and play-from-here restore plies, review leaves the record
+    // alone, and each page loads only its own variants
+    testSessions: function() {
+        const issues = [];
+        const game = { variant: 'classic', record: newCheckersRecord('classic'), redoMoves: [], reviewIndex: null };
+        loadCheckersRecord(game, this.fixtures[1]);
+        const plies = game.record.moves.length;
+        if (!game.gameOver || game.winner !== 'human' || game.record.result !== '1-0') issues.push('loaded game not finished');
+
+        const undo = (singleTurn, expected, player) => {
+            undoCheckersTurn(game, { singleTurn });
+            if (game.record.moves.length !== expected || game.currentPlayer !== player) {
+                issues.push(`undo${singleTurn ? ' (single turn)' : ''} left ${game.record.moves.length} plies, ${game.currentPlayer} to move`);
+            }
+        };
+        undo(false, plies - 1, 'human');
+        if (game.gameOver || game.record.result !== '*') issues.push('undone game still over');
+        undo(false, plies - 3, 'human');
+        undo(true, plies - 4, 'claude');
+        redoCheckersTurn(game, { singleTurn: true });
+        redoCheckersTurn(game);
+        if (game.record.moves.length !== plies - 1 || game.currentPlayer !== 'human') issues.push(`redo left ${game.record.moves.length} plies`);
+        redoCheckersTurn(game);
+        if (!game.gameOver || game.redoMoves.length !== 0) issues.push('redo did not finish the game');
+        if (redoCheckersTurn(game)) issues.push('redo with nothing taken back');
+
+        // 1. 14-12 5-8 2. 12x5 2x7: one capture each
+        reviewCheckersRecord(game, 4);
+        if (game.record.moves.length !== plies || game.gameOver) issues.push('review changed the live game');
+        if (game.humanCaptured !== 1 || game.claudeCaptured !== 1) issues.push(`review counted captures ${game.humanCaptured}-${game.claudeCaptured}`);
+        if (checkersReviewLabel(game) !== `Ply 4/${plies}: 2x7`) issues.push(`review labelled ${checkersReviewLabel(game)}`);
+        reviewCheckersRecord(game, plies + 5);
+        if (game.reviewIndex !== plies) issues.push(`review past the end shows ply ${game.reviewIndex}`);
+        reviewCheckersRecord(game, 4);
+        endCheckersReview(game, true);
+        if (game.reviewIndex !== null || game.record.moves.length !== 4 || game.redoMoves.length !== plies - 4) issues.push('play from here kept the later plies');
+        const pos = checkersPosition(game, game.variant);
+        recordCheckersPly(game, pos, checkersLegalMoves(pos)[0]);
+        if (game.record.moves.length !== 5 || game.redoMoves.length !== 0) issues.push('a new move kept the redo list');
+
+        // 1. 12x5>13x8 1-4>15: the double jump comes back as one turn
+        const portals = { variant: 'portals', record: newCheckersRecord('portals'), redoMoves: [], reviewIndex: null };
+        loadCheckersRecord(portals, this.fixtures[2], { portals: true });
+        undoCheckersTurn(portals, { singleTurn: true });
+        undoCheckersTurn(portals, { singleTurn: true });
+        if (portals.record.moves.length !== 0 || portals.redoMoves.join(' ') !== '12x5>13 13x8 1-4>15') issues.push(`multi-jump undo left ${portals.record.moves.join(' ')}`);
+
+        // A drawn headless match keeps its result; another page's or an illegal record is refused
+        const drawn = newCheckersRecord('classic');
+        drawn.moves = ['14-12', '5-8'];
+        drawn.result = CHECKERS_RESULT_CODES.draw;
+        loadCheckersRecord(game, checkersRecordText(drawn));
+        if (game.record.result !== CHECKERS_RESULT_CODES.draw) issues.push(`drawn record loaded as ${game.record.result}`);
+        const refuses = (what, fn) => {
+            try {
+                fn();
+                issues.push(`loaded ${what}`);
+            } catch (e) {
+                // Expected
+            }
+        };
+        refuses('a portals record on the classic page', () => loadCheckersRecord(game, this.fixtures[0]));
+        refuses('a classic record on the portals page', () => loadCheckersRecord(game, this.fixtures[1], { portals: true }));
+        refuses('an illegal record', () => loadCheckersRecord(game, '1. 13-10 4-7 2. 10-6 *'));
+        if (game.record.moves.join(' ') !== '14-12 5-8') issues.push('a refused record replaced the game');
+        return { passed: issues.length === 0, issues };
+    },
+
+    runAll: function() {
+        const results = {};
+        console.log('=== CHECKERS TEST SUITE ===\n');
+        const tests = {
+            startPositions: 'testStartPositions',
+            kings: 'testKings',
+            multiJump: 'testMultiJump',
+            captureRules: 'testCaptureRules',
+            results: 'testResults',
+            variantValidation: 'testVariantValidation',
+            search: 'testSearch',
+            records: 'testRecords',
+            fixtures: 'testFixtures',
+            sessions: 'testSessions'
+        };
+        for (const [name, fn] of Object.entries(tests)) {
+            const r = this[fn]();
+            results[name] = r;
+            console.log(`${name}: ${r.passed ? 'PASS' : 'FAIL'}${r.issues.length ? ' - ' + r.issues.join('; ') : ''}`);
+        }
+        const allPassed = Object.values(results).every(r => r.passed);
+        console.log(`=== ${allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED'} ===`);
+        results.allPassed = allPassed;
+        return results;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CheckersTestSuite };
+}
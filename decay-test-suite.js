@@ -0,0 +1,3004 @@
+// Decay Roguelike test suite. Depends only on decay-engine.js, so it runs both in the
+// page and headless (test-runner.js --headless).
+
+// ============ ORACLE TEST SUITE ============
+// Comprehensive test suite for validating oracle correctness
+const OracleTestSuite = {
+    config: {
+        quickSeeds: 20,
+        thoroughSeeds: 200,
+        maxTimePerSeed: 30000,
+        regressionSeeds: [3002, 3008, 1000, 1005, 2000, 3000]
+    },
+
+    // Baseline win set: seeds where oracle currently wins (established by running establishBaseline)
+    baselineWinSet: null,
+
+    // State hash function for sim↔real comparison
+    // FNV-1a hash for grids (collision-resistant)
+    hashGrid: function(grid) {
+        let h = 2166136261 >>> 0; // FNV-1a seed
+        for (let y = 0; y < grid.length; y++) {
+            const row = grid[y];
+            for (let x = 0; x < row.length; x++) {
+                const v = typeof row[x] === 'boolean' ? (row[x] ? 1 : 0) : (row[x] & 0xff);
+                h ^= v;
+                h = Math.imul(h, 16777619);
+            }
+        }
+        return h >>> 0;
+    },
+
+    hashState: function(state) {
+        // FNV-1a based state hash with crystal.destroyed included
+        let h = 2166136261 >>> 0;
+        const mix = (n) => { h ^= (n >>> 0); h = Math.imul(h, 16777619); };
+        const mixStr = (s) => { for (let i = 0; i < s.length; i++) mix(s.charCodeAt(i)); };
+
+        // Core state
+        mix(state.player.x); mix(state.player.y);
+        mix(state.moves || 0);
+        mix(state.level || 1);
+        mix(state.stabilizerCharges);
+        mix(state.stabilizerCooldown);
+        mix(state.crystalsCollected);
+
+        // Crystals with destroyed state
+        const crystalsStr = state.crystals
+            .map(c => `${c.x},${c.y},${c.collected?1:0},${c.destroyed?1:0}`)
+            .sort().join(';');
+        mixStr(crystalsStr);
+
+        // Frozen/grace tiles
+        const frozenStr = state.frozenTiles
+            .map(f => `${f.x},${f.y},${f.turnsRemaining}`).sort().join(';');
+        mixStr(frozenStr);
+
+        const graceStr = (state.graceTiles || [])
+            .map(g => `${g.x},${g.y},${g.turnsRemaining}`).sort().join(';');
+        mixStr(graceStr);
+
+        // Sets (stable order)
+        mixStr(Array.from(state.enteredRooms || []).sort((a,b)=>a-b).join(','));
+        mixStr(Array.from(state.restedTiles || []).sort().join(','));
+
+        // Grids with FNV-1a (collision-resistant)
+        mix(this.hashGrid(state.map));
+        mix(this.hashGrid(state.decay));
+        mix(this.hashGrid(state.awakened));
+
+        return h >>> 0;
+    },
+
+    // Test 1: Dominance - oracle must win on all seeds greedy wins
+    testDominance: function(seedStart, seedCount) {
+        let oWins = 0, gWins = 0, oExclusive = 0, gExclusive = 0;
+        const failures = [];
+        const details = [];
+
+        for (let seed = seedStart; seed < seedStart + seedCount; seed++) {
+            const oResult = runBotGame('oracle', 500, 5, seed);
+            const gResult = runBotGame('greedy', 500, 5, seed);
+
+            if (oResult.won) oWins++;
+            if (gResult.won) gWins++;
+            if (oResult.won && !gResult.won) oExclusive++;
+            if (gResult.won && !oResult.won) {
+                gExclusive++;
+                failures.push({ seed, oracle: oResult, greedy: gResult });
+            }
+            details.push({ seed, oracleWon: oResult.won, greedyWon: gResult.won });
+        }
+
+        return {
+            passed: gExclusive === 0,
+            oWins, gWins, oExclusive, gExclusive,
+            failures, details
+        };
+    },
+
+    // Test 1b: Dominance at scale - greedy-win pool strategy for efficient 100+ seed testing
+    // Runs greedy on large range, then oracle only on greedy-win seeds
+    testDominanceAtScale: function(seedStart = 1000, totalSeeds = 200) {
+        console.log(`Phase 1: Running greedy on ${totalSeeds} seeds...`);
+        const greedyWinPool = [];
+        const greedyResults = [];
+
+        // Phase 1: Run greedy on all seeds (fast: ~70ms/seed)
+        for (let seed = seedStart; seed < seedStart + totalSeeds; seed++) {
+            const gResult = runBotGame('greedy', 500, 5, seed);
+            greedyResults.push({ seed, won: gResult.won, moves: gResult.moves });
+            if (gResult.won) {
+                greedyWinPool.push(seed);
+            }
+        }
+
+        console.log(`Phase 1 complete: ${greedyWinPool.length} greedy wins out of ${totalSeeds}`);
+        console.log(`Phase 2: Running oracle on ${greedyWinPool.length} greedy-win seeds...`);
+
+        // Phase 2: Run oracle only on greedy-win pool
+        let oWins = 0, gExclusive = 0;
+        const failures = [];
+
+        for (const seed of greedyWinPool) {
+            const oResult = runBotGame('oracle', 500, 5, seed);
+            if (oResult.won) {
+                oWins++;
+            } else {
+                gExclusive++;
+                failures.push({ seed, oracle: oResult });
+            }
+        }
+
+        console.log(`Phase 2 complete: oracle won ${oWins}/${greedyWinPool.length}, gExclusive=${gExclusive}`);
+
+        return {
+            passed: gExclusive === 0,
+            totalSeeds,
+            greedyWins: greedyWinPool.length,
+            oracleWins: oWins,
+            gExclusive,
+            failures,
+            greedyWinPool
+        };
+    },
+
+    // Seeded shuffle helper (Fisher-Yates with mulberry32 PRNG)
+    seededShuffle: function(arr, seed) {
+        // Mulberry32 PRNG
+        let rng = seed >>> 0;
+        const next = () => {
+            let t = rng += 0x6D2B79F5;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        // Fisher-Yates shuffle
+        const a = arr.slice();
+        for (let i = a.length - 1; i > 0; i--) {
+            const j = Math.floor(next() * (i + 1));
+            [a[i], a[j]] = [a[j], a[i]];
+        }
+        return a;
+    },
+
+    // Test 1c: Oracle on greedy losses - measure "skill expression"
+    // How many maps does oracle save that greedy loses?
+    testOracleOnGreedyLoss: function(seedStart = 1000, totalSeeds = 200, sampleSize = 50) {
+        console.log(`Phase 1: Running greedy on ${totalSeeds} seeds to find losses...`);
+        const greedyLossPool = [];
+
+        // Phase 1: Find greedy losses
+        for (let seed = seedStart; seed < seedStart + totalSeeds; seed++) {
+            const gResult = runBotGame('greedy', 500, 5, seed);
+            if (!gResult.won) {
+                greedyLossPool.push(seed);
+            }
+        }
+
+        console.log(`Phase 1 complete: ${greedyLossPool.length} greedy losses out of ${totalSeeds}`);
+
+        // Phase 2: Seeded shuffle for unbiased sampling (deterministic based on seedStart)
+        const shuffled = OracleTestSuite.seededShuffle(greedyLossPool, seedStart * 99991);
+        const sample = shuffled.slice(0, sampleSize);
+        console.log(`Phase 2: Running oracle on ${sample.length} greedy-loss seeds...`);
+
+        let oracleOnlyWins = 0;
+        let bothLose = 0;
+        const oracleWinSeeds = [];
+
+        for (const seed of sample) {
+            const oResult = runBotGame('oracle', 500, 5, seed);
+            if (oResult.won) {
+                oracleOnlyWins++;
+                oracleWinSeeds.push(seed);
+            } else {
+                bothLose++;
+            }
+        }
+
+        const skillExpression = sample.length > 0 ? oracleOnlyWins / sample.length : 0;
+        console.log(`Phase 2 complete: oracle won ${oracleOnlyWins}/${sample.length} (${(skillExpression * 100).toFixed(1)}% skill expression)`);
+
+        return {
+            totalSeeds,
+            greedyLosses: greedyLossPool.length,
+            greedyWinRate: (totalSeeds - greedyLossPool.length) / totalSeeds,
+            sampleSize: sample.length,
+            oracleOnlyWins,
+            bothLose,
+            skillExpression,
+            oracleWinSeeds
+        };
+    },
+
+    // Test: Thresholds - verify win rates, gap, and mechanic utilization on N seeds
+    testThresholds: function(seedStart = 1000, seedCount = 200) {
+        let oWins = 0, gWins = 0, gExclusive = 0;
+        let totalGrappleUsed = 0, totalStabUsed = 0, totalPillarPush = 0;
+        let seedsReachingL3 = 0;
+
+        for (let seed = seedStart; seed < seedStart + seedCount; seed++) {
+            const oResult = runBotGame('oracle', 500, 5, seed);
+            const gResult = runBotGame('greedy', 500, 5, seed);
+            if (oResult.won) oWins++;
+            if (gResult.won) gWins++;
+            if (gResult.won && !oResult.won) gExclusive++;
+
+            // Aggregate mechanic stats from oracle
+            if (oResult.gameStats) {
+                totalGrappleUsed += oResult.gameStats.grappleUsed || 0;
+                totalStabUsed += oResult.gameStats.stabilizersUsed || 0;
+                totalPillarPush += oResult.gameStats.pillarPushes || 0;
+            }
+            if (oResult.level >= 3) seedsReachingL3++;
+        }
+
+        const oracleRate = oWins / seedCount * 100;
+        const greedyRate = gWins / seedCount * 100;
+        const gap = oracleRate - greedyRate;
+
+        const issues = [];
+        if (oracleRate < 50) issues.push(`Oracle win rate ${oracleRate.toFixed(1)}% < 50%`);
+        if (greedyRate > 40) issues.push(`Greedy win rate ${greedyRate.toFixed(1)}% > 40%`);
+        if (gap < 15) issues.push(`Gap ${gap.toFixed(1)}% < 15%`);
+        if (gExclusive > 0) issues.push(`gExclusive=${gExclusive} > 0`);
+        if (totalStabUsed === 0) issues.push('No stabilizers used across all seeds');
+
+        return {
+            passed: issues.length === 0,
+            issues,
+            oracleRate: oracleRate.toFixed(1),
+            greedyRate: greedyRate.toFixed(1),
+            gap: gap.toFixed(1),
+            gExclusive,
+            seedCount,
+            mechanics: { grappleUsed: totalGrappleUsed, stabilizersUsed: totalStabUsed, pillarPushes: totalPillarPush, seedsReachingL3 }
+        };
+    },
+
+    // Baseline: seeds where oracle currently wins at target L10 (seeds 1000-1199)
+    deepRunBaseline: new Set([1001,1008,1010,1011,1013,1015,1016,1019,1021,1025,1026,1028,1030,1031,1032,1033,1034,1039,1048,1049,1050,1051,1052,1055,1057,1058,1061,1063,1064,1065,1067,1074,1075,1078,1079,1080,1083,1087,1088,1089,1091,1096,1097,1098,1099,1100,1104,1105,1106,1107,1109,1112,1113,1114,1115,1120,1122,1123,1124,1126,1127,1128,1131,1140,1142,1143,1145,1146,1150,1154,1158,1159,1160,1161,1164,1165,1166,1167,1168,1170,1171,1172,1173,1175,1177,1178,1179,1183,1185,1186,1190,1193,1194,1196,1198,1199]),
+
+    // Test: Deep run — oracle to L10, check for regressions against baseline
+    testDeepRun: function(seedStart = 1000, seedCount = 200) {
+        const quick = seedCount <= 20;
+        // For quick mode, test a subset of baseline seeds (faster)
+        const baselineSeeds = [...this.deepRunBaseline];
+        const testSeeds = quick
+            ? baselineSeeds.slice(0, Math.min(10, baselineSeeds.length))
+            : baselineSeeds;
+
+        const regressions = [];  // Seeds that used to win but now lose
+        const improvements = []; // Seeds not in baseline that now win
+        let baselineWins = 0;
+        let currentWins = 0;
+        const levelDeaths = {};  // level → count
+
+        // Test all baseline seeds (must still win)
+        for (const seed of testSeeds) {
+            const r = runBotGame('oracle', 3000, 10, seed);
+            if (r.won) {
+                baselineWins++;
+                currentWins++;
+            } else {
+                regressions.push({ seed, diedAtLevel: r.level, moves: r.moves });
+                const dl = r.level;
+                levelDeaths[dl] = (levelDeaths[dl] || 0) + 1;
+            }
+        }
+
+        // On full run, also test non-baseline seeds to find improvements
+        if (!quick) {
+            for (let seed = seedStart; seed < seedStart + seedCount; seed++) {
+                if (this.deepRunBaseline.has(seed)) continue; // Already tested
+                const r = runBotGame('oracle', 3000, 10, seed);
+                if (r.won) {
+                    currentWins++;
+                    improvements.push(seed);
+                } else {
+                    const dl = r.level;
+                    levelDeaths[dl] = (levelDeaths[dl] || 0) + 1;
+                }
+            }
+        }
+
+        const totalTested = quick ? testSeeds.length : seedCount;
+        return {
+            passed: regressions.length === 0,
+            totalTested,
+            baselineTested: testSeeds.length,
+            baselineWins,
+            currentWins,
+            winRate: (currentWins / totalTested * 100).toFixed(1),
+            regressions,
+            improvements: improvements.length,
+            levelDeaths,
+            issues: regressions.map(r => `Seed ${r.seed} regressed (died L${r.diedAtLevel})`)
+        };
+    },
+
+    // Test 2: Determinism - same seed produces same result (symmetric: tests both oracle AND greedy)
+    testDeterminism: function(seeds) {
+        const failures = [];
+
+        for (const seed of seeds) {
+            // Test oracle determinism
+            const oRun1 = runBotGame('oracle', 500, 5, seed);
+            const oRun2 = runBotGame('oracle', 500, 5, seed);
+            if (oRun1.won !== oRun2.won || oRun1.moves !== oRun2.moves ||
+                oRun1.level !== oRun2.level || oRun1.reason !== oRun2.reason) {
+                failures.push({ seed, bot: 'oracle', run1: oRun1, run2: oRun2 });
+            }
+
+            // Test greedy determinism
+            const gRun1 = runBotGame('greedy', 500, 5, seed);
+            const gRun2 = runBotGame('greedy', 500, 5, seed);
+            if (gRun1.won !== gRun2.won || gRun1.moves !== gRun2.moves ||
+                gRun1.level !== gRun2.level || gRun1.reason !== gRun2.reason) {
+                failures.push({ seed, bot: 'greedy', run1: gRun1, run2: gRun2 });
+            }
+        }
+
+        return { passed: failures.length === 0, failures };
+    },
+
+    // Test 3: Regression - known seeds should pass
+    testRegression: function() {
+        const knownSeeds = [
+            { seed: 3002, expectOracleWin: true },
+            { seed: 3008, expectOracleWin: true },
+            { seed: 1000, expectOracleWin: true },
+            { seed: 1005, expectOracleWin: true }
+        ];
+
+        const failures = [];
+        const results = [];
+        for (const { seed, expectOracleWin } of knownSeeds) {
+            const result = runBotGame('oracle', 500, 5, seed);
+            results.push({ seed, expected: expectOracleWin, actual: result.won, moves: result.moves });
+            if (result.won !== expectOracleWin) {
+                failures.push({ seed, expected: expectOracleWin, actual: result.won, result });
+            }
+        }
+
+        return { passed: failures.length === 0, failures, results };
+    },
+
+    // Test 4: Performance baseline
+    testPerformance: function(seeds) {
+        const results = [];
+
+        for (const seed of seeds) {
+            const t1 = Date.now();
+            const oResult = runBotGame('oracle', 500, 5, seed);
+            const oTime = Date.now() - t1;
+
+            const t2 = Date.now();
+            const gResult = runBotGame('greedy', 500, 5, seed);
+            const gTime = Date.now() - t2;
+
+            results.push({
+                seed,
+                oracleTime: oTime,
+                greedyTime: gTime,
+                oracleMoves: oResult.moves,
+                greedyMoves: gResult.moves,
+                oraclePerMove: Math.round(oTime / oResult.moves),
+                ratio: Math.round(oTime / gTime)
+            });
+        }
+
+        const avgOracleTime = results.reduce((s, r) => s + r.oracleTime, 0) / results.length;
+        const avgGreedyTime = results.reduce((s, r) => s + r.greedyTime, 0) / results.length;
+        const avgRatio = Math.round(avgOracleTime / avgGreedyTime);
+
+        // Timings depend on the machine, so they are reported but never pass or fail (allPassed leaves them out)
+        return { informational: true, avgOracleTime: Math.round(avgOracleTime), avgGreedyTime: Math.round(avgGreedyTime), avgRatio, results };
+    },
+
+    // Test 5: Extended deep clone correctness (Invariant G)
+    testDeepClone: function() {
+        generateMap(1000);
+        // Add some test data to composite structures
+        gameState.crystals.push({ x: 5, y: 5, collected: false });
+        gameState.frozenTiles.push({ x: 10, y: 10, turnsRemaining: 3 });
+        gameState.graceTiles.push({ x: 15, y: 15, turnsRemaining: 2 });
+        gameState.enteredRooms.add(99);
+        gameState.restedTiles.add('77,77');
+
+        const state = cloneStateForSimulation();
+        const clone = deepCloneSimState(state);
+
+        const issues = [];
+
+        // Modify clone - basic fields
+        clone.player.x = 999;
+        clone.decay[0][0] = 999;
+        clone.map[0][0] = 999;
+
+        // Modify clone - crystals array element
+        const lastCrystal = clone.crystals[clone.crystals.length - 1];
+        if (lastCrystal) lastCrystal.collected = true;
+
+        // Modify clone - frozenTiles array element
+        const lastFrozen = clone.frozenTiles[clone.frozenTiles.length - 1];
+        if (lastFrozen) lastFrozen.turnsRemaining = 999;
+
+        // Modify clone - graceTiles array element
+        const lastGrace = clone.graceTiles[clone.graceTiles.length - 1];
+        if (lastGrace) lastGrace.turnsRemaining = 999;
+
+        // Modify clone - Sets
+        clone.enteredRooms.add(1000);
+        clone.restedTiles.add('1000,1000');
+
+        // Verify original unchanged
+        if (state.player.x === 999) issues.push('player aliased');
+        if (state.decay[0][0] === 999) issues.push('decay aliased');
+        if (state.map[0][0] === 999) issues.push('map aliased');
+
+        const origLastCrystal = state.crystals[state.crystals.length - 1];
+        if (origLastCrystal && origLastCrystal.collected === true) issues.push('crystals[] element aliased');
+
+        const origLastFrozen = state.frozenTiles[state.frozenTiles.length - 1];
+        if (origLastFrozen && origLastFrozen.turnsRemaining === 999) issues.push('frozenTiles[] element aliased');
+
+        const origLastGrace = state.graceTiles[state.graceTiles.length - 1];
+        if (origLastGrace && origLastGrace.turnsRemaining === 999) issues.push('graceTiles[] element aliased');
+
+        if (state.enteredRooms.has(1000)) issues.push('enteredRooms Set aliased');
+        if (state.restedTiles.has('1000,1000')) issues.push('restedTiles Set aliased');
+
+        // Clean up test data
+        gameState.crystals.pop();
+        gameState.frozenTiles.pop();
+        gameState.graceTiles.pop();
+        gameState.enteredRooms.delete(99);
+        gameState.restedTiles.delete('77,77');
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 6: Anti-oscillation
+    testAntiOscillation: function() {
+        generateMap(1000);
+        oracleLastPos = null;
+        clearOraclePlan();
+
+        const positions = [];
+        for (let i = 0; i < 20; i++) {
+            positions.push({ x: gameState.player.x, y: gameState.player.y });
+            const move = oracleBotMove();
+            if (!move || move.action !== 'move') break;
+            executeBotMove(move);
+        }
+
+        // Count backtracks (returning to position 2 steps ago)
+        let backtracks = 0;
+        for (let i = 2; i < positions.length; i++) {
+            if (positions[i].x === positions[i-2].x && positions[i].y === positions[i-2].y) {
+                backtracks++;
+            }
+        }
+
+        return { passed: backtracks <= 2, backtracks, positionCount: positions.length };
+    },
+
+    // Test 7: Oracle win set regression (no losing seeds we currently win)
+    testOracleRegression: function(seedStart, seedCount) {
+        if (!this.baselineWinSet) {
+            return { passed: false, error: 'No baseline established. Run establishBaseline() first.' };
+        }
+
+        const regressions = [];
+        const improvements = [];
+        let currentWins = 0;
+
+        for (let seed = seedStart; seed < seedStart + seedCount; seed++) {
+            const result = runBotGame('oracle', 500, 5, seed);
+            const baselineWon = this.baselineWinSet.has(seed);
+
+            if (result.won) currentWins++;
+
+            if (baselineWon && !result.won) {
+                regressions.push({ seed, baseline: 'won', current: 'lost', result });
+            } else if (!baselineWon && result.won) {
+                improvements.push({ seed, baseline: 'lost', current: 'won' });
+            }
+        }
+
+        return {
+            passed: regressions.length === 0,
+            regressions,
+            improvements,
+            baselineWins: this.baselineWinSet.size,
+            currentWins,
+            seedRange: { start: seedStart, count: seedCount }
+        };
+    },
+
+    // Establish baseline win set for regression testing
+    establishBaseline: function(seedStart, seedCount) {
+        console.log(`Establishing baseline for seeds ${seedStart}-${seedStart + seedCount - 1}...`);
+        const winSet = new Set();
+        const results = [];
+
+        for (let seed = seedStart; seed < seedStart + seedCount; seed++) {
+            const result = runBotGame('oracle', 500, 5, seed);
+            if (result.won) winSet.add(seed);
+            results.push({ seed, won: result.won, moves: result.moves });
+            if ((seed - seedStart + 1) % 10 === 0) {
+                console.log(`  Progress: ${seed - seedStart + 1}/${seedCount}`);
+            }
+        }
+
+        this.baselineWinSet = winSet;
+        console.log(`Baseline established: ${winSet.size}/${seedCount} wins (${(100 * winSet.size / seedCount).toFixed(1)}%)`);
+
+        return {
+            winSet: Array.from(winSet),
+            winRate: winSet.size / seedCount,
+            results
+        };
+    },
+
+    // Export baseline as JSON for persistence
+    exportBaseline: function() {
+        if (!this.baselineWinSet) return null;
+        return JSON.stringify(Array.from(this.baselineWinSet));
+    },
+
+    // Import baseline from JSON
+    importBaseline: function(json) {
+        const arr = JSON.parse(json);
+        this.baselineWinSet = new Set(arr);
+        return { imported: arr.length };
+    },
+
+    // Test 8: Hash Sanity - verify hash is deterministic and sensitive
+    // NOTE: This is NOT sim↔real alignment (that would require shadow-step diff)
+    testHashSanity: function(seed, maxTurns = 10) {
+        generateMap(seed);
+        const issues = [];
+
+        // Test 1: Hash is deterministic
+        const state1 = cloneStateForSimulation();
+        const hash1a = this.hashState(state1);
+        const hash1b = this.hashState(state1);
+        if (hash1a !== hash1b) {
+            issues.push('Hash not deterministic: same state gave different hashes');
+        }
+
+        // Test 2: Hash changes when state changes
+        const state2 = cloneStateForSimulation();
+        state2.player.x += 1;
+        const hash2 = this.hashState(state2);
+        if (hash1a === hash2) {
+            issues.push('Hash not sensitive: different player position gave same hash');
+        }
+
+        // Test 3: Hash changes when charges change
+        const state3 = cloneStateForSimulation();
+        state3.stabilizerCharges += 1;
+        const hash3 = this.hashState(state3);
+        if (hash1a === hash3) {
+            issues.push('Hash not sensitive: different charges gave same hash');
+        }
+
+        // Test 4: Run a few turns and verify game progresses
+        let turnsRun = 0;
+        for (let i = 0; i < maxTurns; i++) {
+            const move = greedyBotMove();
+            if (!move) break;
+            executeBotMove(move);
+            turnsRun++;
+            if (gameState.map[gameState.player.y][gameState.player.x] === TILE.STAIRS_DOWN) break;
+            if (gameState.map[gameState.player.y][gameState.player.x] === TILE.VOID) break;
+        }
+
+        return { passed: issues.length === 0, issues, turnsChecked: turnsRun };
+    },
+
+    // Test 9: Invariant F - Action-level dominance (simplified)
+    // Verify oracle doesn't make obviously bad moves compared to greedy
+    testActionDominance: function(seed, maxTurns = 10) {
+        generateMap(seed);
+        oracleLastPos = null;
+        clearOraclePlan();
+        const dominated = [];
+        let turnsChecked = 0;
+
+        for (let turn = 0; turn < maxTurns; turn++) {
+            // Get oracle's choice
+            const oracleMove = oracleBotMove();
+            if (!oracleMove) break;
+
+            // Execute and continue
+            executeBotMove(oracleMove);
+            turnsChecked++;
+
+            // Check if game ended
+            const tile = gameState.map[gameState.player.y][gameState.player.x];
+            if (tile === TILE.STAIRS_DOWN) break;
+            if (tile === TILE.VOID) { // VOID is -1, not 0 (WALL is 0)
+                dominated.push({ turn, reason: 'oracle died' });
+                break;
+            }
+        }
+
+        // Pass if oracle didn't die (basic dominance check)
+        return { passed: dominated.length === 0, dominated, turnsChecked };
+    },
+
+    // Test 10: Stabilizer BFS blocking - walls/void/pillars should block spread
+    testStabilizerBFS: function() {
+        generateMap(1000);
+        // Find a pillar and test that stabilizer respects blocking
+        const pillar = gameState.pillars[0];
+        if (!pillar) return { passed: true, skipped: 'no pillars in test map' };
+
+        // Place player near pillar
+        gameState.player.x = pillar.x;
+        gameState.player.y = pillar.y + 1;
+        gameState.stabilizerCharges = 1;
+        gameState.stabilizerCooldown = 0;
+
+        // Record decay values around pillar before stabilize
+        const decayBefore = {};
+        for (let dy = -3; dy <= 3; dy++) {
+            for (let dx = -3; dx <= 3; dx++) {
+                const x = pillar.x + dx, y = pillar.y + dy;
+                if (inBounds(x, y)) {
+                    decayBefore[`${x},${y}`] = gameState.decay[y][x];
+                }
+            }
+        }
+
+        // Use stabilizer
+        useStabilizer();
+
+        // Check that walls and pillars blocked spread appropriately
+        const issues = [];
+        // The pillar tile itself should not be frozen (pillars are impassable)
+        const pillarFrozen = gameState.frozenTiles.some(f => f.x === pillar.x && f.y === pillar.y);
+        if (pillarFrozen) {
+            issues.push('pillar tile was frozen (should be blocked)');
+        }
+
+        // Check that void tiles weren't frozen
+        for (const f of gameState.frozenTiles) {
+            if (gameState.map[f.y][f.x] === TILE.VOID) {
+                issues.push(`void tile at ${f.x},${f.y} was frozen`);
+            }
+            if (gameState.map[f.y][f.x] === TILE.WALL) {
+                issues.push(`wall tile at ${f.x},${f.y} was frozen`);
+            }
+        }
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 11: Room entry grace - entering room grants grace period
+    testRoomGrace: function() {
+        // Need level 3+ for room awakening
+        generateMap(1000);
+        gameState.level = 3;
+        gameState.enteredRooms.clear();
+
+        // Find a room we haven't entered
+        const room = gameState.rooms[0];
+        if (!room) return { passed: true, skipped: 'no rooms in test map' };
+
+        // Move player to room center
+        const cx = Math.floor(room.x + room.w / 2);
+        const cy = Math.floor(room.y + room.h / 2);
+        gameState.player.x = cx;
+        gameState.player.y = cy;
+
+        // Trigger awakening
+        awakenNearbyTiles();
+
+        // Check that room was marked as entered
+        const roomEntered = gameState.enteredRooms.size > 0;
+
+        // Check that grace tiles were created
+        const hasGrace = gameState.graceTiles.length > 0;
+
+        // Grace tiles should be within the room
+        const graceInRoom = gameState.graceTiles.every(g =>
+            g.x >= room.x && g.x < room.x + room.w &&
+            g.y >= room.y && g.y < room.y + room.h
+        );
+
+        const issues = [];
+        if (!roomEntered) issues.push('room not marked as entered');
+        if (!hasGrace) issues.push('no grace tiles created');
+        if (!graceInRoom) issues.push('grace tiles outside room bounds');
+
+        return { passed: issues.length === 0, issues, graceTileCount: gameState.graceTiles.length };
+    },
+
+    // Test 12: Decay and collapse mechanics
+    testChainCollapse: function() {
+        const issues = [];
+
+        // TEST 1: Basic collapse - tile with decay=1 collapses
+        generateMap(1000);
+        gameState.level = 3; // Full decay rate
+
+        // Find a floor tile not adjacent to pillars with a walkable neighbor
+        let testX = -1, testY = -1, neighborX = -1, neighborY = -1;
+        for (let y = 5; y < CONFIG.mapHeight - 5; y++) {
+            for (let x = 5; x < CONFIG.mapWidth - 5; x++) {
+                if (gameState.map[y][x] === TILE.FLOOR) {
+                    // Check not adjacent to any pillar
+                    const nearPillar = gameState.pillars.some(p =>
+                        Math.abs(p.x - x) <= 1 && Math.abs(p.y - y) <= 1
+                    );
+                    if (!nearPillar) {
+                        // Find a walkable neighbor
+                        const dirs = [{ dx: 1, dy: 0 }, { dx: -1, dy: 0 }, { dx: 0, dy: 1 }, { dx: 0, dy: -1 }];
+                        for (const { dx, dy } of dirs) {
+                            const nx = x + dx, ny = y + dy;
+                            if (inBounds(nx, ny) && gameState.map[ny][nx] === TILE.FLOOR) {
+                                const neighborNearPillar = gameState.pillars.some(p =>
+                                    Math.abs(p.x - nx) <= 1 && Math.abs(p.y - ny) <= 1
+                                );
+                                if (!neighborNearPillar) {
+                                    testX = x; testY = y;
+                                    neighborX = nx; neighborY = ny;
+                                    break;
+                                }
+                            }
+                        }
+                        if (testX >= 0) break;
+                    }
+                }
+            }
+            if (testX >= 0) break;
+        }
+
+        if (testX < 0) return { passed: true, skipped: 'no suitable tile pair found' };
+
+        // TEST 2: Shock applies correctly - neighbor decay reduced by chainCollapseAmount
+        const levelConfig = getLevelConfig(gameState.level);
+        const chainDamage = levelConfig.chainCollapseAmount; // Should be 2 at level 3
+
+        // Set up: center tile will collapse, neighbor has high decay
+        gameState.awakened[testY][testX] = true;
+        gameState.decay[testY][testX] = 1;
+        gameState.awakened[neighborY][neighborX] = true;
+        gameState.decay[neighborY][neighborX] = 10; // High enough to survive shock
+        const neighborDecayBefore = gameState.decay[neighborY][neighborX];
+
+        // Process decay - center collapses, should shock neighbor
+        processTurnDecay();
+
+        // Verify center collapsed
+        if (gameState.map[testY][testX] !== TILE.VOID) {
+            issues.push(`center tile did not collapse`);
+        }
+
+        // Verify neighbor got shock damage (decay reduced by chainCollapseAmount)
+        // Note: neighbor also loses 1 from normal decay, so total reduction is chainDamage + 1
+        const neighborDecayAfter = gameState.decay[neighborY][neighborX];
+        const expectedAfter = neighborDecayBefore - chainDamage - 1; // shock + normal decay
+        if (neighborDecayAfter !== expectedAfter) {
+            issues.push(`shock damage incorrect: expected ${expectedAfter}, got ${neighborDecayAfter} (before=${neighborDecayBefore}, chainDamage=${chainDamage})`);
+        }
+
+        // TEST 3: Propagation cascades - neighbor at threshold also collapses
+        generateMap(1001);
+        gameState.level = 3;
+
+        // Find another test pair
+        testX = -1; testY = -1; neighborX = -1; neighborY = -1;
+        for (let y = 5; y < CONFIG.mapHeight - 5; y++) {
+            for (let x = 5; x < CONFIG.mapWidth - 5; x++) {
+                if (gameState.map[y][x] === TILE.FLOOR) {
+                    const nearPillar = gameState.pillars.some(p =>
+                        Math.abs(p.x - x) <= 1 && Math.abs(p.y - y) <= 1
+                    );
+                    if (!nearPillar) {
+                        const dirs = [{ dx: 1, dy: 0 }, { dx: -1, dy: 0 }, { dx: 0, dy: 1 }, { dx: 0, dy: -1 }];
+                        for (const { dx, dy } of dirs) {
+                            const nx = x + dx, ny = y + dy;
+                            if (inBounds(nx, ny) && gameState.map[ny][nx] === TILE.FLOOR) {
+                                const neighborNearPillar = gameState.pillars.some(p =>
+                                    Math.abs(p.x - nx) <= 1 && Math.abs(p.y - ny) <= 1
+                                );
+                                if (!neighborNearPillar) {
+                                    testX = x; testY = y;
+                                    neighborX = nx; neighborY = ny;
+                                    break;
+                                }
+                            }
+                        }
+                        if (testX >= 0) break;
+                    }
+                }
+            }
+            if (testX >= 0) break;
+        }
+
+        if (testX >= 0) {
+            const levelConfig2 = getLevelConfig(gameState.level);
+            const chainDamage2 = levelConfig2.chainCollapseAmount;
+
+            // Set center to collapse, neighbor to exactly collapse threshold after shock
+            // Neighbor needs: decay - chainDamage - 1 (normal decay) <= 0
+            // So if chainDamage=2: decay <= 3 will collapse after shock
+            gameState.awakened[testY][testX] = true;
+            gameState.decay[testY][testX] = 1;
+            gameState.awakened[neighborY][neighborX] = true;
+            gameState.decay[neighborY][neighborX] = chainDamage2; // Will become 0 or negative after shock + decay
+
+            processTurnDecay();
+
+            // Both should have collapsed
+            if (gameState.map[testY][testX] !== TILE.VOID) {
+                issues.push(`cascade: center did not collapse`);
+            }
+            if (gameState.map[neighborY][neighborX] !== TILE.VOID) {
+                issues.push(`cascade: neighbor should have collapsed from chain reaction (decay was ${chainDamage2}, shock=${chainDamage2})`);
+            }
+        }
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 13: Crystal destroyed vs collected
+    testCrystalStates: function() {
+        generateMap(1000);
+
+        // Find a crystal
+        const crystal = gameState.crystals.find(c => !c.collected);
+        if (!crystal) return { passed: true, skipped: 'no uncollected crystals' };
+
+        const originalCharges = gameState.stabilizerCharges;
+
+        // Simulate collection (what movePlayer does)
+        crystal.collected = true;
+        gameState.crystalsCollected++;
+        gameState.stabilizerCharges++;
+
+        // Verify crystal is marked collected
+        const crystalCollected = crystal.collected === true;
+        const chargesIncreased = gameState.stabilizerCharges > originalCharges;
+
+        // Now test destruction: find another crystal and collapse its tile
+        const crystal2 = gameState.crystals.find(c => !c.collected && c !== crystal);
+        let destroyedNotCollectable = true;
+        if (crystal2) {
+            // Collapse the tile under the crystal
+            gameState.map[crystal2.y][crystal2.x] = TILE.VOID;
+
+            // Try to collect - should fail because tile is void
+            // In practice, player can't even move to void tiles
+            // The crystal should be implicitly destroyed (on void = not collectible)
+            destroyedNotCollectable = gameState.map[crystal2.y][crystal2.x] === TILE.VOID;
+        }
+
+        const issues = [];
+        if (!crystalCollected) issues.push('crystal not marked as collected');
+        if (!chargesIncreased) issues.push('charges did not increase on collection');
+        if (!destroyedNotCollectable) issues.push('crystal on void tile still collectible');
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 14: Rewind boundaries
+    testRewindBoundaries: function() {
+        generateMap(1000);
+        gameState.level = 2;
+
+        // Record original position
+        const origX = gameState.player.x;
+        const origY = gameState.player.y;
+
+        // Make some moves
+        const validMoves = getValidMoves();
+        if (validMoves.length > 0) {
+            const move = validMoves[0];
+            // Record the turn at start
+            saveStateToHistory({ action: 'move', dx: move.dx, dy: move.dy });
+            gameState.player.x = move.x;
+            gameState.player.y = move.y;
+            gameState.moves++;
+            gameState.levelMoves++;
+        }
+
+        // Rewind
+        rewindState(1);
+
+        // Check state was restored (player back at original position)
+        const positionRestored = gameState.player.x === origX && gameState.player.y === origY;
+
+        // Test max rewinds boundary (the harness caps at 50)
+        // We won't actually do 50 rewinds, just verify the structure exists
+        const hasRewindTracking = typeof gameState.didRewindThisTurn !== 'undefined';
+
+        const issues = [];
+        if (!hasRewindTracking) issues.push('rewind tracking flag missing');
+        if (!positionRestored && validMoves.length > 0) issues.push('position not restored after rewind');
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 15: Safe bubble - frozen tiles don't take shock damage
+    testSafeBubbleNoShockDamage: function() {
+        generateMap(1000);
+        gameState.level = 3; // Full decay rate
+
+        // Find a floor tile with a walkable neighbor, not near pillars
+        let centerX = -1, centerY = -1, frozenX = -1, frozenY = -1;
+        for (let y = 5; y < CONFIG.mapHeight - 5; y++) {
+            for (let x = 5; x < CONFIG.mapWidth - 5; x++) {
+                if (gameState.map[y][x] === TILE.FLOOR) {
+                    const nearPillar = gameState.pillars.some(p =>
+                        Math.abs(p.x - x) <= 1 && Math.abs(p.y - y) <= 1
+                    );
+                    if (!nearPillar) {
+                        const dirs = [{ dx: 1, dy: 0 }, { dx: -1, dy: 0 }, { dx: 0, dy: 1 }, { dx: 0, dy: -1 }];
+                        for (const { dx, dy } of dirs) {
+                            const nx = x + dx, ny = y + dy;
+                            if (inBounds(nx, ny) && gameState.map[ny][nx] === TILE.FLOOR) {
+                                const neighborNearPillar = gameState.pillars.some(p =>
+                                    Math.abs(p.x - nx) <= 1 && Math.abs(p.y - ny) <= 1
+                                );
+                                if (!neighborNearPillar) {
+                                    centerX = x; centerY = y;
+                                    frozenX = nx; frozenY = ny;
+                                    break;
+                                }
+                            }
+                        }
+                        if (centerX >= 0) break;
+                    }
+                }
+            }
+            if (centerX >= 0) break;
+        }
+
+        if (centerX < 0) return { passed: true, skipped: 'no suitable tile pair found' };
+
+        const issues = [];
+
+        // Set up: center tile will collapse, frozen neighbor has high decay
+        gameState.awakened[centerY][centerX] = true;
+        gameState.decay[centerY][centerX] = 1; // Will collapse
+
+        gameState.awakened[frozenY][frozenX] = true;
+        gameState.decay[frozenY][frozenX] = 10; // High enough to survive if not frozen
+        const frozenDecayBefore = gameState.decay[frozenY][frozenX];
+
+        // FREEZE the neighbor tile
+        gameState.frozenTiles.push({ x: frozenX, y: frozenY, turnsRemaining: 5 });
+
+        // Process decay - center collapses, should NOT damage frozen neighbor
+        processTurnDecay();
+
+        // Verify center collapsed
+        if (gameState.map[centerY][centerX] !== TILE.VOID) {
+            issues.push('center tile did not collapse');
+        }
+
+        // Verify frozen neighbor did NOT lose shock damage
+        // Frozen tiles skip ALL decay (both normal and shock), so decay should be unchanged
+        const frozenDecayAfter = gameState.decay[frozenY][frozenX];
+        const expectedAfter = frozenDecayBefore; // Frozen = no decay at all
+        if (frozenDecayAfter !== expectedAfter) {
+            issues.push(`frozen tile decay changed: expected ${expectedAfter}, got ${frozenDecayAfter}`);
+        }
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 16: Safe bubble - frozen tiles STILL get awakened by shock
+    testSafeBubbleStillAwakens: function() {
+        generateMap(1001);
+        gameState.level = 3;
+
+        // Find a tile pair where the neighbor is NOT awakened
+        let centerX = -1, centerY = -1, dormantX = -1, dormantY = -1;
+        for (let y = 5; y < CONFIG.mapHeight - 5; y++) {
+            for (let x = 5; x < CONFIG.mapWidth - 5; x++) {
+                if (gameState.map[y][x] === TILE.FLOOR) {
+                    const nearPillar = gameState.pillars.some(p =>
+                        Math.abs(p.x - x) <= 1 && Math.abs(p.y - y) <= 1
+                    );
+                    if (!nearPillar) {
+                        const dirs = [{ dx: 1, dy: 0 }, { dx: -1, dy: 0 }, { dx: 0, dy: 1 }, { dx: 0, dy: -1 }];
+                        for (const { dx, dy } of dirs) {
+                            const nx = x + dx, ny = y + dy;
+                            if (inBounds(nx, ny) && gameState.map[ny][nx] === TILE.FLOOR) {
+                                const neighborNearPillar = gameState.pillars.some(p =>
+                                    Math.abs(p.x - nx) <= 1 && Math.abs(p.y - ny) <= 1
+                                );
+                                if (!neighborNearPillar) {
+                                    centerX = x; centerY = y;
+                                    dormantX = nx; dormantY = ny;
+                                    break;
+                                }
+                            }
+                        }
+                        if (centerX >= 0) break;
+                    }
+                }
+            }
+            if (centerX >= 0) break;
+        }
+
+        if (centerX < 0) return { passed: true, skipped: 'no suitable tile pair found' };
+
+        const issues = [];
+
+        // Set up: center tile awakened and will collapse
+        gameState.awakened[centerY][centerX] = true;
+        gameState.decay[centerY][centerX] = 1;
+
+        // Neighbor is DORMANT (not awakened) and FROZEN
+        gameState.awakened[dormantY][dormantX] = false; // Explicitly dormant
+        gameState.decay[dormantY][dormantX] = 10;
+
+        // FREEZE the dormant neighbor
+        gameState.frozenTiles.push({ x: dormantX, y: dormantY, turnsRemaining: 5 });
+
+        // Process decay - center collapses
+        processTurnDecay();
+
+        // Verify dormant frozen neighbor GOT AWAKENED by shock
+        // (This is the key behavioral change - shock propagates awakening even to frozen tiles)
+        if (!gameState.awakened[dormantY][dormantX]) {
+            issues.push('frozen dormant tile was NOT awakened by shock (should be awakened)');
+        }
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 17: Pillar push mechanic
+    testPillarPush: function() {
+        generateMap(1002);
+        gameState.level = 3;
+
+        const pillar = gameState.pillars[0];
+        if (!pillar) return { passed: true, skipped: 'no pillars in map' };
+
+        const issues = [];
+        const origX = pillar.x, origY = pillar.y;
+
+        // Find a cardinal direction where we can push (need floor behind pillar AND floor to stand on)
+        const dirs = [{ dx: 1, dy: 0 }, { dx: -1, dy: 0 }, { dx: 0, dy: 1 }, { dx: 0, dy: -1 }];
+        let pushDir = null;
+        for (const d of dirs) {
+            const behindX = origX + d.dx, behindY = origY + d.dy;
+            const standX = origX - d.dx, standY = origY - d.dy;
+            if (!inBounds(behindX, behindY) || !inBounds(standX, standY)) continue;
+            if (gameState.map[behindY][behindX] !== TILE.FLOOR) continue;
+            if (isPillarAt(behindX, behindY)) continue;
+            if (gameState.map[standY][standX] !== TILE.FLOOR) continue;
+            if (isPillarAt(standX, standY)) continue;
+            pushDir = d;
+            break;
+        }
+
+        if (!pushDir) return { passed: true, skipped: 'no pushable direction found' };
+
+        // Position player adjacent to pillar (opposite of push direction)
+        gameState.player.x = origX - pushDir.dx;
+        gameState.player.y = origY - pushDir.dy;
+
+        // Try to push
+        const result = tryMove(pushDir.dx, pushDir.dy);
+        if (!result) issues.push('tryMove returned false for valid push');
+
+        // Verify pillar moved
+        if (pillar.x !== origX + pushDir.dx || pillar.y !== origY + pushDir.dy) {
+            issues.push(`pillar didn't move: expected (${origX + pushDir.dx},${origY + pushDir.dy}), got (${pillar.x},${pillar.y})`);
+        }
+
+        // Verify player is now at pillar's old position
+        if (gameState.player.x !== origX || gameState.player.y !== origY) {
+            issues.push(`player not at pillar's old position: expected (${origX},${origY}), got (${gameState.player.x},${gameState.player.y})`);
+        }
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 18: Sim pillar push matches real
+    testSimPillarPush: function() {
+        generateMap(1002);
+        gameState.level = 3;
+
+        const pillar = gameState.pillars[0];
+        if (!pillar) return { passed: true, skipped: 'no pillars in map' };
+
+        const issues = [];
+        const origX = pillar.x, origY = pillar.y;
+
+        // Find pushable direction
+        const dirs = [{ dx: 1, dy: 0 }, { dx: -1, dy: 0 }, { dx: 0, dy: 1 }, { dx: 0, dy: -1 }];
+        let pushDir = null;
+        for (const d of dirs) {
+            const behindX = origX + d.dx, behindY = origY + d.dy;
+            const standX = origX - d.dx, standY = origY - d.dy;
+            if (!inBounds(behindX, behindY) || !inBounds(standX, standY)) continue;
+            if (gameState.map[behindY][behindX] !== TILE.FLOOR) continue;
+            if (isPillarAt(behindX, behindY)) continue;
+            if (gameState.map[standY][standX] !== TILE.FLOOR) continue;
+            if (isPillarAt(standX, standY)) continue;
+            pushDir = d;
+            break;
+        }
+
+        if (!pushDir) return { passed: true, skipped: 'no pushable direction found' };
+
+        // Clone for sim
+        gameState.player.x = origX - pushDir.dx;
+        gameState.player.y = origY - pushDir.dy;
+        const sim = cloneStateForSimulation();
+
+        // Push in sim
+        const simResult = simStep(sim, { action: 'move', dx: pushDir.dx, dy: pushDir.dy });
+        if (!simResult) issues.push('simStep returned false for valid push');
+
+        const simPillar = sim.pillars[0];
+        if (simPillar.x !== origX + pushDir.dx || simPillar.y !== origY + pushDir.dy) {
+            issues.push(`sim pillar didn't move correctly`);
+        }
+
+        // Verify sim player at old pillar position
+        if (sim.player.x !== origX || sim.player.y !== origY) {
+            issues.push(`sim player not at pillar's old position`);
+        }
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 19: Anchor Stone - anchored tile never decays or takes shock, and live matches sim
+    testAnchorStone: function() {
+        generateMap(1000);
+        gameState.level = 3;
+
+        // Find a floor tile with a floor neighbor, both away from pillars
+        let standX = -1, standY = -1, anchorX = -1, anchorY = -1;
+        const clearOfPillars = (x, y) => !gameState.pillars.some(p => Math.abs(p.x - x) <= 1 && Math.abs(p.y - y) <= 1);
+        for (let y = 5; y < CONFIG.mapHeight - 5 && standX < 0; y++) {
+            for (let x = 5; x < CONFIG.mapWidth - 5 && standX < 0; x++) {
+                if (gameState.map[y][x] !== TILE.FLOOR || !clearOfPillars(x, y)) continue;
+                if (gameState.map[y][x + 1] === TILE.FLOOR && clearOfPillars(x + 1, y)) {
+                    standX = x; standY = y;
+                    anchorX = x + 1; anchorY = y;
+                }
+            }
+        }
+
+        if (standX < 0) return { passed: true, skipped: 'no suitable tile pair found' };
+
+        const issues = [];
+        gameState.player.x = standX;
+        gameState.player.y = standY;
+        gameState.awakened[standY][standX] = true;
+        gameState.decay[standY][standX] = 99; // Player's own tile can't go anywhere
+        gameState.awakened[anchorY][anchorX] = true;
+        gameState.decay[anchorY][anchorX] = 1; // Would collapse on the next tick
+        gameState.anchorCharges = 1;
+
+        const action = { action: 'anchor', targetX: anchorX, targetY: anchorY };
+        const sim = cloneStateForSimulation();
+        if (!simStep(sim, action)) issues.push('sim anchor step failed');
+        if (!useAnchor(anchorX, anchorY)) issues.push('useAnchor returned false for a valid neighbor');
+        const diffs = this.diffStates(gameState, sim);
+        if (diffs.length > 0) issues.push(`live/sim diverged: ${diffs.slice(0, 3).join('; ')}`);
+
+        if (gameState.anchorCharges !== 0) issues.push(`anchorCharges: expected 0, got ${gameState.anchorCharges}`);
+        if (!gameState.anchoredTiles.has(coordIdx(anchorX, anchorY))) issues.push('tile not recorded as anchored');
+        if (getActionBlocker(gameState, action) !== 'no-charges') issues.push('anchor allowed with no charges');
+        gameState.anchorCharges = 1;
+        if (getActionBlocker(gameState, action) !== 'target') issues.push('same tile anchored twice');
+        if (canAnchorAt(standX + 2, standY)) issues.push('anchor allowed 2 tiles away');
+
+        // Collapse a neighbor of the anchored tile, then let decay run
+        const shockX = anchorX + 1;
+        if (gameState.map[anchorY][shockX] === TILE.FLOOR && !isPillarAt(shockX, anchorY)) {
+            gameState.awakened[anchorY][shockX] = true;
+            gameState.decay[anchorY][shockX] = 1;
+        }
+        for (let i = 0; i < 6; i++) processTurnDecay();
+
+        if (gameState.map[anchorY][anchorX] !== TILE.FLOOR) issues.push('anchored tile collapsed');
+        if (gameState.decay[anchorY][anchorX] !== 1) {
+            issues.push(`anchored tile decay changed: expected 1, got ${gameState.decay[anchorY][anchorX]}`);
+        }
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 20: Decay Bomb - blast collapses the 3x3, chains outward, drops enemies; live matches sim
+    testDecayBomb: function() {
+        generateMap(1001);
+        gameState.level = 3;
+
+        // Find a straight throw of exactly 2 over floor, target well clear of the stairs
+        let standX = -1, standY = -1, targetX = -1, targetY = -1;
+        for (let y = 5; y < CONFIG.mapHeight - 5 && standX < 0; y++) {
+            for (let x = 5; x < CONFIG.mapWidth - 5 && standX < 0; x++) {
+                if (gameState.map[y][x] !== TILE.FLOOR || isPillarAt(x, y)) continue;
+                const tx = x + 2;
+                if (gameState.map[y][x + 1] !== TILE.FLOOR || gameState.map[y][tx] !== TILE.FLOOR) continue;
+                if (isPillarAt(x + 1, y) || isPillarAt(tx, y)) continue;
+                if (Math.max(Math.abs(tx - gameState.stairsX), Math.abs(y - gameState.stairsY)) <= 2) continue;
+                standX = x; standY = y;
+                targetX = tx; targetY = y;
+            }
+        }
+
+        if (standX < 0) return { passed: true, skipped: 'no suitable throw found' };
+
+        const issues = [];
+        gameState.player.x = standX;
+        gameState.player.y = standY;
+        gameState.awakened[standY][standX] = true;
+        gameState.decay[standY][standX] = 99;
+        gameState.bombCharges = 1;
+        gameState.enemies = [{ type: 'mender', x: targetX, y: targetY, dir: 0, moveTimer: 0 }];
+
+        // Anchor one blast tile: it should ride out the explosion
+        const heldX = targetX + 1, heldY = targetY;
+        const canHold = gameState.map[heldY][heldX] === TILE.FLOOR && !isPillarAt(heldX, heldY);
+        if (canHold) gameState.anchoredTiles.add(coordIdx(heldX, heldY));
+
+        // A sturdy tile just outside the blast (past a blast tile) should take the chain shock
+        let outsideX = -1, outsideY = -1;
+        for (const [dx, dy] of [[0, 1], [0, -1], [1, 0]]) {
+            const ox = targetX + dx * 2, oy = targetY + dy * 2;
+            const mx = targetX + dx, my = targetY + dy;
+            if (!inBounds(ox, oy) || (mx === heldX && my === heldY)) continue;
+            if (gameState.map[oy][ox] !== TILE.FLOOR || isPillarAt(ox, oy)) continue;
+            if (gameState.map[my][mx] !== TILE.FLOOR || isPillarAt(mx, my)) continue;
+            outsideX = ox; outsideY = oy;
+            break;
+        }
+        const outsideOk = outsideX >= 0;
+        if (outsideOk) {
+            gameState.awakened[outsideY][outsideX] = true;
+            gameState.decay[outsideY][outsideX] = 50;
+        }
+
+        const blast = getBombTiles(targetX, targetY);
+        const action = { action: 'bomb', targetX, targetY };
+        const sim = cloneStateForSimulation();
+        if (!simStep(sim, action)) issues.push('sim bomb step failed');
+        if (!throwBomb(targetX, targetY)) issues.push('throwBomb returned false for a valid target');
+        const diffs = this.diffStates(gameState, sim);
+        if (diffs.length > 0) issues.push(`live/sim diverged: ${diffs.slice(0, 3).join('; ')}`);
+
+        if (gameState.bombCharges !== 0) issues.push(`bombCharges: expected 0, got ${gameState.bombCharges}`);
+        for (const t of blast) {
+            if (gameState.map[t.y][t.x] !== TILE.VOID) issues.push(`blast tile (${t.x},${t.y}) still standing`);
+        }
+        if (canHold && gameState.map[heldY][heldX] !== TILE.FLOOR) issues.push('anchored tile collapsed in the blast');
+        if (gameState.enemies.length !== 0) issues.push('enemy on the target tile did not fall');
+        if (gameState.map[standY][standX] === TILE.VOID) issues.push('thrower caught in the blast');
+        const shock = getLevelConfig(3).chainCollapseAmount;
+        if (outsideOk && gameState.decay[outsideY][outsideX] > 50 - shock) {
+            issues.push(`chain shock missed the tile beyond the blast: decay ${gameState.decay[outsideY][outsideX]}, expected <= ${50 - shock}`);
+        }
+
+        // Range rules: min 2 (thrower stays out of the blast), max BOMB_RANGE, no walls
+        if (canBombAt(standX + 1, standY)) issues.push('bomb allowed at range 1');
+        if (canBombAt(standX + BOMB_RANGE + 1, standY)) issues.push('bomb allowed beyond BOMB_RANGE');
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 21: Void Spawn - emerges from the Nth collapse, crosses void toward the player,
+    // drains the player's tile when adjacent, and fades out after its lifetime
+    testVoidSpawn: function() {
+        generateMap(1001);
+        gameState.level = 7;
+        gameState.enemies = [];
+        const levelConfig = getLevelConfig(7);
+        const issues = [];
+
+        if (getLevelConfig(6).voidSpawnEvery !== 0) issues.push('void spawns enabled before level 7');
+        if (!levelConfig.voidSpawnEvery) return { passed: false, issues: ['void spawns not enabled at level 7'] };
+
+        // Find a straight run of 4 non-wall tiles beside the player, ending on floor
+        const px = gameState.player.x, py = gameState.player.y;
+        let dir = 0;
+        for (const d of [1, -1]) {
+            let clear = inBounds(px + d * 4, py) && gameState.map[py][px + d * 4] === TILE.FLOOR;
+            for (let i = 1; i <= 4 && clear; i++) {
+                if (gameState.map[py][px + d * i] === TILE.WALL || isPillarAt(px + d * i, py)) clear = false;
+            }
+            if (clear) { dir = d; break; }
+        }
+        if (!dir) return { passed: true, skipped: 'no floor run beside the start' };
+        const spawnX = px + dir * 4;
+
+        // Only the collapse that rolls the counter over breeds a Void Spawn, on that tile
+        gameState.collapseCount = levelConfig.voidSpawnEvery - 2;
+        collapseTile(spawnX, py);
+        if (gameState.enemies.length !== 0) issues.push('spawned before the Nth collapse');
+        gameState.map[py][spawnX] = TILE.FLOOR;
+        collapseTile(spawnX, py);
+        const spawn = gameState.enemies.find(e => e.type === 'voidspawn');
+        if (!spawn) return { passed: false, issues: [...issues, 'no void spawn after the Nth collapse'] };
+        if (spawn.x !== spawnX || spawn.y !== py) issues.push(`spawned at (${spawn.x},${spawn.y}), expected (${spawnX},${py})`);
+
+        // Cap: rolling the counter over on more floor tiles never exceeds voidSpawnMax
+        let extra = 0;
+        for (let y = 1; y < CONFIG.mapHeight - 1 && extra < levelConfig.voidSpawnMax + 2; y++) {
+            for (let x = 1; x < CONFIG.mapWidth - 1 && extra < levelConfig.voidSpawnMax + 2; x++) {
+                if (gameState.map[y][x] !== TILE.FLOOR || Math.abs(y - py) < 3) continue;
+                gameState.collapseCount = levelConfig.voidSpawnEvery - 1;
+                collapseTile(x, y);
+                extra++;
+            }
+        }
+        const alive = gameState.enemies.filter(e => e.type === 'voidspawn').length;
+        if (alive !== levelConfig.voidSpawnMax) issues.push(`${alive} void spawns alive, cap is ${levelConfig.voidSpawnMax}`);
+        gameState.enemies = [spawn];
+
+        // Half speed toward the player, straight across a void tile: 4 turns close 2 tiles
+        gameState.map[py][px + dir * 3] = TILE.VOID;
+        for (let i = 0; i < 4; i++) processEnemyMoves();
+        if (spawn.x !== px + dir * 2 || spawn.y !== py) {
+            issues.push(`after 4 turns at (${spawn.x},${spawn.y}), expected (${px + dir * 2},${py})`);
+        }
+
+        // Adjacent: each turn drains the player's tile, but anchored ground holds
+        spawn.x = px + dir;
+        gameState.awakened[py][px] = true;
+        gameState.decay[py][px] = 10;
+        processEnemyMoves();
+        if (gameState.decay[py][px] !== 10 - VOID_SPAWN_DRAIN) {
+            issues.push(`player tile decay ${gameState.decay[py][px]}, expected ${10 - VOID_SPAWN_DRAIN}`);
+        }
+        gameState.anchoredTiles.add(coordIdx(px, py));
+        processEnemyMoves();
+        if (gameState.decay[py][px] !== 10 - VOID_SPAWN_DRAIN) issues.push('anchored tile was drained');
+
+        // Lifetime: sinks back into the void
+        spawn.moveTimer = VOID_SPAWN_LIFETIME - 1;
+        processEnemyMoves();
+        if (gameState.enemies.includes(spawn)) issues.push('void spawn outlived VOID_SPAWN_LIFETIME');
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 22: Enemy registry - every placed type is registered, and a prototype type
+    // added with registerEnemy() is moved, collided with and expired with no other wiring
+    testEnemyRegistry: function() {
+        const issues = [];
+
+        for (let level = 4; level <= 10; level++) {
+            gameState.level = level;
+            generateMap(2000 + level);
+            for (const e of gameState.enemies) {
+                const def = ENEMY_TYPES[e.type];
+                if (!def) { issues.push(`L${level}: '${e.type}' placed but not registered`); continue; }
+                if (typeof def.move !== 'function' || typeof def.describe(e, gameState) !== 'string' || !def.style.glyph) {
+                    issues.push(`'${e.type}' entry incomplete`);
+                }
+            }
+        }
+
+        generateMap(1000);
+        gameState.level = 3;
+        gameState.enemies = [];
+
+        // Prototype: steps one tile east per turn, marks collisions, lives 3 turns
+        let collided = 0;
+        registerEnemy('testdrone', {
+            move: (enemy, state) => { enemy.moveTimer++; enemy.x++; },
+            collide: () => { collided++; },
+            lifetime: 3
+        });
+        try {
+            if (ENEMY_TYPES.testdrone.spawnCount(5) !== 0) issues.push('unplaced type has a spawn count');
+
+            const drone = spawnEnemy('testdrone', 10, 10);
+            processEnemyMoves();
+            processEnemyMoves();
+            if (drone.x !== 12) issues.push(`drone at x=${drone.x} after 2 turns, expected 12`);
+            processEnemyMoves();
+            if (gameState.enemies.includes(drone)) issues.push('drone outlived its lifetime');
+
+            // Collision dispatches to the type's collide(), in the sim as in the live game
+            const px = gameState.player.x, py = gameState.player.y;
+            const step = [[1, 0], [-1, 0], [0, 1], [0, -1]].find(([dx, dy]) =>
+                gameState.map[py + dy][px + dx] === TILE.FLOOR && !isPillarAt(px + dx, py + dy));
+            if (!step) {
+                issues.push('no floor beside the start for the collision check');
+            } else {
+                spawnEnemy('testdrone', px + step[0], py + step[1]);
+                const sim = cloneStateForSimulation();
+                simStep(sim, { action: 'move', dx: step[0], dy: step[1] });
+                if (collided !== 1) issues.push(`collide() ran ${collided} times on a sim step, expected 1`);
+            }
+        } finally {
+            delete ENEMY_TYPES.testdrone;
+            gameState.enemies = [];
+        }
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 23: Replay verification - a fresh recording verifies clean, and a changed action,
+    // a changed hash or a changed result is reported at the right turn and field
+    testReplayVerification: function() {
+        const issues = [];
+        const replay = recordBotReplay('greedy', 1005, 4);
+        if (replay.moves.length < 20) return { passed: false, issues: [`only ${replay.moves.length} moves recorded`] };
+        if (!replay.moves.every(m => typeof m.hash === 'string' && m.hash.split('.').length === REPLAY_HASH_FIELDS.length)) {
+            issues.push('recorded moves missing state hashes');
+        }
+
+        const clean = verifyReplay(replay);
+        if (!clean.ok || clean.hashed !== replay.moves.length) {
+            issues.push(`clean replay failed: ${clean.reason || clean.hashed + '/' + replay.moves.length + ' hashed'}`);
+        }
+
+        // Swap a mid-game step for a wait: the very next hash must catch it
+        const k = replay.moves.findIndex((m, i) => i >= 10 && m.action.action === 'move');
+        const edited = JSON.parse(JSON.stringify(replay));
+        edited.moves[k].action = { action: 'wait' };
+        const r1 = verifyReplay(edited);
+        if (r1.ok || r1.turn !== replay.moves[k].turn) {
+            issues.push(`edited action at turn ${replay.moves[k].turn} reported as ${r1.ok ? 'ok' : 'turn ' + r1.turn}`);
+        }
+
+        // A tampered rng hash names the rng field
+        const tampered = JSON.parse(JSON.stringify(replay));
+        const parts = tampered.moves[k].hash.split('.');
+        parts[REPLAY_HASH_FIELDS.indexOf('rng')] = 'zz';
+        tampered.moves[k].hash = parts.join('.');
+        const r2 = verifyReplay(tampered);
+        if (r2.ok || r2.field !== 'rng' || r2.turn !== replay.moves[k].turn) {
+            issues.push(`tampered rng hash reported as ${r2.ok ? 'ok' : r2.field + ' at turn ' + r2.turn}`);
+        }
+
+        // Legacy (unhashed) replays still get their final level checked
+        const legacy = JSON.parse(JSON.stringify(replay));
+        legacy.moves.forEach(m => delete m.hash);
+        const r3 = verifyReplay(legacy);
+        if (!r3.ok || r3.hashed !== 0) issues.push('unhashed replay not accepted on its final level');
+        legacy.result.level++;
+        const r4 = verifyReplay(legacy);
+        if (r4.ok || r4.field !== 'level') issues.push('wrong final level not reported');
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 24: Format migration - v1/v2 saves and old replays upgrade with their defaults
+    // filled in, and only data that can't be migrated is refused
+    testFormatMigration: function() {
+        const issues = [];
+        seedRng(1006);
+        generateMap(1006);
+        const grid = (rows) => rows.map(row => [...row]);
+        const v1State = {
+            seed: gameState.seed, baseSeed: 1006,
+            map: grid(gameState.map), decay: grid(gameState.decay), awakened: grid(gameState.awakened),
+            player: { ...gameState.player }, moves: 12, level: 2,
+            pillars: [], crystals: [], crystalsCollected: 1,
+            stabilizerCharges: 2, stabilizerCooldown: 0, frozenTiles: [], grappleCharges: 1,
+            stairsX: gameState.stairsX, stairsY: gameState.stairsY, rngState: 12345,
+            enteredRooms: [], restedTiles: [], mapVersion: 4, rooms: [],
+            distanceFromStart: grid(gameState.distanceFromStart), explored: grid(gameState.explored)
+        };
+
+        // v1 (no version field) fills every later field
+        const m1 = migrateSave({ state: JSON.parse(JSON.stringify(v1State)) });
+        if (!m1.ok) {
+            issues.push(`v1 save refused: ${m1.error}`);
+        } else {
+            const s = m1.data.state;
+            if (m1.from !== 1 || m1.data.saveVersion !== SAVE_VERSION) issues.push(`v1 save tagged v${m1.from} → v${m1.data.saveVersion}`);
+            if (s.stabilizerType !== 'radial') issues.push(`stabilizerType defaulted to ${s.stabilizerType}`);
+            if (!Array.isArray(s.graceTiles) || !Array.isArray(s.seekerTrail) || !Array.isArray(s.anchoredTiles)) {
+                issues.push('graceTiles/seekerTrail/anchoredTiles not defaulted to arrays');
+            }
+            if (s.chargesAtLevelStart !== 2 || s.initialRngState !== 12345) issues.push('derived defaults not taken from the save');
+            if (s.replayStartSeed !== v1State.seed || s.replayStartLevel !== 2) issues.push('replay start not taken from the save');
+            if (s.anchorCharges !== 0 || s.bombCharges !== 0 || s.collapseCount !== 0) issues.push('v3 counters not zeroed');
+        }
+
+        // v2 keeps values that were already there
+        const v2State = { ...JSON.parse(JSON.stringify(m1.data?.state || v1State)), stabilizerType: 'line', anchorCharges: 3 };
+        delete v2State.bombItems;
+        const m2 = migrateSave({ saveVersion: 2, state: v2State });
+        if (!m2.ok) issues.push(`v2 save refused: ${m2.error}`);
+        else if (m2.data.state.stabilizerType !== 'line' || m2.data.state.anchorCharges !== 3 || !Array.isArray(m2.data.state.bombItems)) {
+            issues.push('v2 migration overwrote existing fields or missed bombItems');
+        }
+
+        // Truly impossible: newer than this build, missing rng state, wrong map size
+        if (migrateSave({ saveVersion: SAVE_VERSION + 1, state: v1State }).ok) issues.push('newer save accepted');
+        const noRng = { ...v1State };
+        delete noRng.rngState;
+        const r1 = migrateSave({ state: noRng });
+        if (r1.ok || !r1.error.includes('rngState')) issues.push(`save without rngState: ${r1.error || 'accepted'}`);
+        const r2 = migrateSave({ state: { ...v1State, map: v1State.map.slice(1) } });
+        if (r2.ok || !r2.error.includes('map')) issues.push(`resized map: ${r2.error || 'accepted'}`);
+
+        // A v2 replay (no hashes, no stabilizer types) plays back to the same final level
+        const replay = recordBotReplay('greedy', 1006, 3);
+        const old = JSON.parse(JSON.stringify(replay));
+        old.version = 2;
+        for (const m of old.moves) {
+            delete m.hash;
+            if (m.action.action === 'stabilize') delete m.action.stabilizerType;
+        }
+        const before = JSON.stringify(old);
+        const mr = migrateReplay(old);
+        if (!mr.ok) {
+            issues.push(`v2 replay refused: ${mr.error}`);
+        } else {
+            if (mr.replay.version !== REPLAY_VERSION || mr.from !== 2) issues.push(`v2 replay tagged v${mr.from} → v${mr.replay.version}`);
+            if (JSON.stringify(old) !== before) issues.push('migrateReplay mutated its input');
+            const v = verifyReplay(old);
+            if (!v.ok) issues.push(`migrated v2 replay failed verification: ${v.reason}`);
+        }
+        // Stabilizer selection arrived in v3: earlier stabilizes were all radial
+        const ms = migrateReplay({ version: 2, seed: 1006, moves: [{ turn: 0, action: { action: 'stabilize' } }] });
+        if (!ms.ok || ms.replay.moves[0].action.stabilizerType !== 'radial') issues.push('v2 stabilize not given the radial type');
+        const unversioned = { seed: 1006, moves: old.moves };
+        const mu = migrateReplay(unversioned);
+        if (!mu.ok || mu.from !== 1 || mu.replay.targetLevel !== 5) issues.push('unversioned replay not read as v1');
+        if (migrateReplay({ ...old, version: REPLAY_VERSION + 1 }).ok) issues.push('newer replay accepted');
+        if (migrateReplay({ ...old, moves: [{ turn: 0 }] }).ok) issues.push('replay with an empty move accepted');
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 25: Rewind timeline - every earlier turn rebuilds exactly from keyframes + deltas,
+    // acting after a jump starts a branch, and abandoned branches stay reachable
+    testRewindTimeline: function() {
+        const issues = [];
+        effectsEnabled = false;
+        gameState.level = 3;
+        gameState.stabilizerCharges = 0;
+        gameState.baseSeed = 1007;
+        generateMap(1007);
+        clearOraclePlan(true);
+        cachedStairsField = null;
+
+        // Snapshot of everything a turn restores (the RNG carries on through rewinds)
+        const snap = () => hashReplayState().split('.').slice(0, -1).join('.') + '|' +
+            gameState.levelMoves + '|' + JSON.stringify(gameState.explored);
+        const seen = new Map();
+        for (let i = 0; i < 45 && gameState.level === 3; i++) {
+            // Every third turn a wait, so the walk to the stairs lasts long enough
+            const move = i % 3 === 2 ? { action: 'wait' } : greedyBotMove();
+            if (!move || move.action === 'descend') break;
+            executeBotMove(move);
+            seen.set(gameState.timeline.head, snap());
+        }
+        const tl = gameState.timeline;
+        if (tl.nodes.length < 25) return { passed: true, skipped: `only ${tl.nodes.length} turns played` };
+        if (tl.keyframes.size > Math.ceil(tl.nodes.length / CONFIG.timelineKeyframeInterval) + 1) {
+            issues.push(`${tl.keyframes.size} keyframes for ${tl.nodes.length} turns`);
+        }
+
+        // Jump around the tree: each turn must come back exactly as it was played
+        const rng = rngState;
+        const ids = [...seen.keys()].filter(id => !tl.nodes[id].fatal);
+        for (const id of [ids[3], ids[ids.length - 2], ids[11], ids[20], ids[1]]) {
+            if (id === tl.head) continue;
+            if (!jumpToTimelineNode(id) || tl.head !== id) { issues.push(`jump to node ${id} refused`); continue; }
+            if (snap() !== seen.get(id)) issues.push(`node ${id} (turn ${tl.nodes[id].turn}) rebuilt differently`);
+        }
+        if (rngState !== rng) issues.push('jumping changed the RNG');
+
+        // Act from an earlier turn: a new branch, with the old one still there
+        const fork = ids[5];
+        const oldTip = ids[ids.length - 1];
+        jumpToTimelineNode(fork);
+        const before = tl.nodes.length;
+        waitTurn();
+        const branchNode = tl.nodes[tl.head];
+        if (tl.nodes.length !== before + 1 || branchNode.parent !== fork || branchNode.branch === tl.nodes[ids[6]].branch) {
+            issues.push('acting after a jump did not start a new branch');
+        }
+        if (!jumpToTimelineNode(oldTip) || snap() !== seen.get(oldTip)) issues.push('abandoned branch tip not reachable');
+
+        // Fatal turns are marked and can't be jumped to
+        tl.nodes[branchNode.id].fatal = true;
+        if (jumpToTimelineNode(branchNode.id)) issues.push('jumped to a fatal turn');
+
+        // The fall rewind still only reaches back over the last CONFIG.stateHistorySize turns
+        resetTimeline();
+        for (let i = 0; i < 3; i++) waitTurn();
+        if (rewindState(CONFIG.stateHistorySize)) issues.push('fall rewind went past the level start');
+        effectsEnabled = true;
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 26: Decay memory - under the decayMemory rule, out-of-sight tiles hold the values
+    // from the turn they were last seen, and the bots plan on those rather than the live grids
+    testDecayMemory: function() {
+        const issues = [];
+        effectsEnabled = false;
+        setRuleOverrides({ decayMemory: true });
+        try {
+            gameState.level = 3;
+            gameState.stabilizerCharges = 0;
+            gameState.baseSeed = 1008;
+            generateMap(1008);
+            clearOraclePlan(true);
+            cachedStairsField = null;
+
+            // Live decay after every turn, to check memory against
+            const history = new Map();
+            for (let i = 0; i < 30 && gameState.level === 3; i++) {
+                const move = greedyBotMove();
+                if (!move || move.action === 'descend') break;
+                executeBotMove(move);
+                history.set(gameState.moves, gameState.decay.map(row => [...row]));
+            }
+
+            const mem = gameState.remembered;
+            let stale = 0, wrong = 0;
+            for (let y = 0; y < CONFIG.mapHeight; y++) {
+                for (let x = 0; x < CONFIG.mapWidth; x++) {
+                    const age = turnsSinceSeen(x, y);
+                    if (gameState.visible[y][x]) {
+                        if (age !== 0 || mem.decay[y][x] !== gameState.decay[y][x]) wrong++;
+                    } else if (gameState.explored[y][x] && history.has(mem.seenAt[y][x])) {
+                        if (mem.decay[y][x] !== history.get(mem.seenAt[y][x])[y][x]) wrong++;
+                        if (mem.decay[y][x] !== gameState.decay[y][x]) stale++;
+                    }
+                }
+            }
+            if (wrong > 0) issues.push(`${wrong} tiles remembered with the wrong value`);
+            if (stale === 0) issues.push('no out-of-sight tile went stale');
+
+            // The known view swaps remembered tiles in, then puts the live grids back
+            const liveDecay = gameState.decay;
+            const seenDecay = withKnownTiles(() => gameState.decay.map(row => [...row]));
+            if (gameState.decay !== liveDecay) issues.push('withKnownTiles left the view in place');
+            if (seenDecay.some((row, y) => row.some((v, x) => v !== (gameState.visible[y][x] ? liveDecay[y][x] : mem.decay[y][x])))) {
+                issues.push('known view mixes the wrong grids');
+            }
+
+            // A collapse out of sight on the route to the stairs: unknown under the rule, avoided without it
+            const route = findPathOmniscient(gameState.player.x, gameState.player.y, gameState.stairsX, gameState.stairsY) || [];
+            const hidden = route.find(p => !gameState.visible[p.y][p.x] && gameState.map[p.y][p.x] === TILE.FLOOR);
+            if (!hidden) return { passed: true, skipped: 'whole route in view' };
+            gameState.map[hidden.y][hidden.x] = TILE.VOID;
+            const through = path => !!path && path.some(p => p.x === hidden.x && p.y === hidden.y);
+            const knownPath = withKnownTiles(() => getFullGameState().pathToStairs);
+            greedyLastPos = null;
+            const knownMove = greedyBotMove();
+            setRuleOverrides({});
+            const livePath = withKnownTiles(() => getFullGameState().pathToStairs);
+            greedyLastPos = null;
+            const liveMove = greedyBotMove();
+            if (!through(knownPath)) issues.push('bot route avoided a collapse it never saw');
+            if (through(livePath)) issues.push('omniscient route crosses the void');
+            if (JSON.stringify(knownMove) === JSON.stringify(liveMove)) issues.push('greedy played the same with and without seeing the collapse');
+            gameState.map[hidden.y][hidden.x] = TILE.FLOOR;
+            setRuleOverrides({ decayMemory: true });
+
+            // Rewinding takes memory back too: nothing is remembered from a future turn
+            const earlier = gameState.timeline.nodes[10];
+            if (!earlier || earlier.fatal || !jumpToTimelineNode(earlier.id)) {
+                issues.push('could not rewind to turn 10');
+            } else if (gameState.remembered.seenAt.some(row => row.some(t => t > gameState.moves))) {
+                issues.push('memory kept tiles seen after the rewind point');
+            }
+        } finally {
+            setRuleOverrides({});
+            effectsEnabled = true;
+        }
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 27: Map generators - caves and BSP layouts pass the same connectivity checks as rooms,
+    // and authored levels load exactly as written or fall back to rooms when they can't be played
+    testMapGenerators: function() {
+        const issues = [];
+        effectsEnabled = false;
+        try {
+            gameState.level = 3;
+            gameState.stabilizerCharges = 0;
+            for (const name of ['bsp', 'caves']) {
+                setRuleOverrides({ mapGenerator: name });
+                for (let seed = 1100; seed < 1105; seed++) {
+                    generateMap(seed);
+                    const { x, y } = gameState.player;
+                    if (gameState.mapGenerator !== name) issues.push(`${name} seed ${seed} fell back to ${gameState.mapGenerator}`);
+                    if (!validateConnectivity()) issues.push(`${name} seed ${seed} is not connected`);
+                    if (gameState.map[y][x] === TILE.WALL) issues.push(`${name} seed ${seed} starts in a wall`);
+                    if (gameState.map[gameState.stairsY][gameState.stairsX] !== TILE.STAIRS_DOWN) issues.push(`${name} seed ${seed} has no stairs`);
+                    // Caves have no rooms, so every tile reads as NORMAL danger
+                    if (name === 'caves' && (gameState.rooms.length || getDangerLevelAt(x, y) !== ROOM_DANGER.NORMAL)) {
+                        issues.push(`caves seed ${seed} has rooms`);
+                    }
+                    if (name === 'bsp' && gameState.rooms.length < 3) issues.push(`bsp seed ${seed} has ${gameState.rooms.length} rooms`);
+                }
+            }
+
+            // An authored level goes in as written: fixed timers, pillars, crystals and room danger
+            const level = {
+                name: 'The Narrows',
+                tiles: [
+                    '##########',
+                    '#@..O...*#',
+                    '#.####.###',
+                    '#......>.#',
+                    '##########'
+                ],
+                decay: 9,
+                rooms: [{ x: 1, y: 1, w: 3, h: 1, danger: 'safe' }]
+            };
+            setRuleOverrides({ mapGenerator: 'authored', authoredLevel: level });
+            generateMap(1100);
+            const { x: px, y: py } = gameState.player;
+            if (gameState.mapGenerator !== 'authored' || gameState.levelName !== 'The Narrows') {
+                issues.push(`authored level not loaded (${gameState.mapGenerator})`);
+            } else {
+                const floors = gameState.map.flat().filter(t => t !== TILE.WALL).length;
+                if (floors !== 18) issues.push(`authored level has ${floors} open tiles, expected 18`);
+                if (gameState.decay.some((row, y) => row.some((v, x) => gameState.map[y][x] !== TILE.WALL && v !== 9))) {
+                    issues.push('authored decay timers changed');
+                }
+                if (gameState.pillars.length !== 1 || gameState.pillars[0].x !== px + 3 || gameState.pillars[0].y !== py) issues.push('authored pillar misplaced');
+                if (gameState.crystals.length !== 1 || gameState.crystals[0].x !== px + 7) issues.push('authored crystal misplaced');
+                if (gameState.stairsX !== px + 6 || gameState.stairsY !== py + 2) issues.push('authored stairs misplaced');
+                if (getDangerLevelAt(px, py) !== ROOM_DANGER.SAFE) issues.push('authored room danger ignored');
+                if (gameState.enemies.length || gameState.grappleItems.length) issues.push('authored level got random spawns');
+            }
+
+            // Malformed, disconnected or unwinnable levels are rejected and a rooms map generated instead
+            const broken = [
+                { tiles: ['#@#', '#.#', '#>x'], decay: 3 },
+                { tiles: ['#@#.#', '#.#.#', '###>#'], decay: 5 },
+                { tiles: ['@' + '.'.repeat(30) + '>'], decay: 1 }
+            ];
+            for (const bad of broken) {
+                setRuleOverrides({ mapGenerator: 'authored', authoredLevel: bad });
+                const errors = loadAuthoredLevel(bad);
+                generateMap(1100);
+                if (!errors.length) issues.push(`accepted ${JSON.stringify(bad.tiles)}`);
+                if (gameState.mapGenerator !== 'rooms' || gameState.levelName !== null) issues.push(`no fallback for ${JSON.stringify(bad.tiles)}`);
+            }
+        } finally {
+            setRuleOverrides({});
+            effectsEnabled = true;
+        }
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 28: Authored runs - a seeded level exported the way the level editor does it loads back
+    // tile for tile, and a replay on an authored level carries its rules and verifies on them
+    testAuthoredRuns: function() {
+        const issues = [];
+        effectsEnabled = false;
+        try {
+            // Export a seeded level 4 (enemies and items included) and lay it back out. Seeded
+            // timers rarely pass checkSolvability's count from turn 0, so only the layout is compared
+            gameState.level = 4;
+            gameState.stabilizerCharges = 0;
+            generateMap(1200);
+            const tiles = (list) => list.map(o => coordIdx(o.x, o.y)).sort((a, b) => a - b);
+            const snapshot = () => JSON.stringify([gameState.map, gameState.decay, gameState.player, tiles(gameState.pillars),
+                tiles(gameState.crystals), gameState.grappleItems, gameState.bombItems, gameState.enemies, gameState.rooms]);
+            const seeded = snapshot();
+            const exported = JSON.parse(JSON.stringify(authoredLevelFromState('Export', 4)));
+            if (exported.enemies.length === 0) issues.push('level 4 exported without enemies');
+            const problems = loadAuthoredLevel(exported);
+            if (problems.some(p => !p.includes('collapses'))) issues.push(`export rejected: ${problems.join(', ')}`);
+            if (snapshot() !== seeded) issues.push('exported level loads back differently');
+            setRuleOverrides({ mapGenerator: 'authored', authoredLevel: exported });
+            if (runStartLevel() !== 4) issues.push(`authored run starts on level ${runStartLevel()}`);
+            setRuleOverrides({});
+
+            // The editor's check: the oracle clears a small level from its start level to its stairs
+            const level = {
+                name: 'Corridor',
+                level: 3,
+                tiles: [
+                    '##########',
+                    '#@.......#',
+                    '#.######.#',
+                    '#....*..>#',
+                    '##########'
+                ],
+                decay: 15,
+                items: [{ type: 'grapple', x: 3, y: 1 }],
+                enemies: [{ type: 'crawler', x: 8, y: 1 }]
+            };
+            const check = checkAuthoredLevel(level, 1200);
+            if (check.errors.length) issues.push(`check failed: ${check.errors.join(', ')}`);
+            else if (!check.oracle.won || check.oracle.level !== 4) issues.push(`oracle did not clear it (${check.oracle.reason})`);
+            if (Object.keys(ruleOverrides).length) issues.push('check left its rules behind');
+
+            // A replay recorded on it plays back on its rules whatever the current ones are
+            setRuleOverrides({ mapGenerator: 'authored', authoredLevel: level });
+            const replay = recordBotReplay('oracle', 1200, runStartLevel() + 1);
+            setRuleOverrides({});
+            if (replay.rules?.authoredLevel?.name !== 'Corridor') issues.push('replay did not record its rules');
+            const verified = verifyReplay(replay);
+            if (!verified.ok) issues.push(`authored replay failed to verify: ${verified.reason}`);
+            if (verifyReplay({ ...replay, rules: undefined }).ok) issues.push('authored replay verified on the seeded rules');
+            if (Object.keys(ruleOverrides).length) issues.push('verifyReplay left the replay rules behind');
+        } finally {
+            setRuleOverrides({});
+            effectsEnabled = true;
+        }
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 29: Challenges - the date alone decides a challenge's seed and modifiers, forced
+    // stabilizer types apply, and only entries whose replay reproduces the score on it verify
+    testChallenges: function() {
+        const issues = [];
+        effectsEnabled = false;
+        try {
+            const day = (iso) => new Date(`${iso}T12:00:00Z`);
+            const daily = challengeFor('daily', day('2026-03-10'));
+            if (JSON.stringify(challengeFor('daily', day('2026-03-10'))) !== JSON.stringify(daily)) issues.push('daily challenge not deterministic');
+            if (daily.id !== 'daily-2026-03-10' || daily.modifiers.length !== 1) issues.push(`daily challenge is ${daily.id} with ${daily.modifiers.length} modifiers`);
+            if (challengeFor('hourly') !== null) issues.push('unknown challenge kind accepted');
+
+            const days = [];
+            for (let d = 1; d <= 14; d++) days.push(challengeFor('daily', day(`2026-02-${String(d).padStart(2, '0')}`)));
+            if (new Set(days.map(c => c.seed)).size !== days.length) issues.push('two days share a seed');
+            if (new Set(days.map(c => c.modifiers.join())).size < 2) issues.push('every day has the same modifiers');
+
+            // ISO weeks run Monday to Sunday, and the first days of January can belong to the year before
+            const week = challengeFor('weekly', day('2026-10-12')).id;
+            for (const iso of ['2026-10-13', '2026-10-15', '2026-10-18']) {
+                if (challengeFor('weekly', day(iso)).id !== week) issues.push(`${iso} is not in ${week}`);
+            }
+            if (week !== 'weekly-2026-W42' || challengeFor('weekly', day('2026-10-19')).id === week) issues.push(`week ${week} ends on the wrong day`);
+            if (isoWeek(day('2021-01-01')) !== '2020-W53') issues.push(`2021-01-01 is in ${isoWeek(day('2021-01-01'))}`);
+            for (let d = 1; d <= 10; d++) {
+                const weekly = challengeFor('weekly', day(`2026-0${d < 10 ? d : 1}-0${d % 7 + 1}`));
+                const groups = weekly.modifiers.map(name => CHALLENGE_MODIFIERS[name].group);
+                if (weekly.modifiers.length !== 2 || new Set(groups).size !== groups.length) issues.push(`${weekly.id} modifiers ${weekly.modifiers.join('+')}`);
+            }
+
+            // A forced stabilizer type wins over the player's pick
+            gameState.level = 3;
+            generateMap(1300);
+            gameState.stabilizerType = 'radial';
+            gameState.stabilizerCharges = 1;
+            gameState.stabilizerCooldown = 0;
+            gameState.frozenTiles = [];
+            const { x, y } = gameState.player;
+            const blastTiles = getStabilizerTiles(x, y, 'blast', gameState).map(t => coordIdx(t.x, t.y)).sort((a, b) => a - b);
+            const radialTiles = getStabilizerTiles(x, y, 'radial', gameState).map(t => coordIdx(t.x, t.y)).sort((a, b) => a - b);
+            setRuleOverrides(CHALLENGE_MODIFIERS.blastOnly.rules);
+            applyAction(gameState, { action: 'stabilize' });
+            const frozen = gameState.frozenTiles.map(t => coordIdx(t.x, t.y)).sort((a, b) => a - b);
+            if (JSON.stringify(blastTiles) === JSON.stringify(radialTiles)) issues.push('blast and radial freeze the same tiles at the test spot');
+            if (JSON.stringify(frozen) !== JSON.stringify(blastTiles)) issues.push('blastOnly did not force a blast stabilizer');
+            setRuleOverrides({});
+
+            // Entries are checked against the challenge: seed, rules and the score their replay reaches
+            const challenge = { ...daily, modifiers: ['heavyChains'], rules: { ...CHALLENGE_MODIFIERS.heavyChains.rules } };
+            setRuleOverrides(challenge.rules);
+            const replay = recordBotReplay('greedy', challenge.seed, 3);
+            setRuleOverrides({});
+            // Scored like the page scores a run: the turns the game counted, not the bot's decisions
+            const entry = { level: gameState.level, moves: gameState.moves, replay };
+            const check = verifyChallengeEntry(challenge, entry);
+            if (!check.ok) issues.push(`challenge entry failed to verify: ${check.reason}`);
+            if (verifyChallengeEntry({ ...challenge, seed: challenge.seed + 1 }, entry).ok) issues.push('entry verified on another seed');
+            if (verifyChallengeEntry(challenge, { ...entry, replay: { ...replay, rules: undefined } }).ok) issues.push('entry played on the standard rules verified');
+            if (verifyChallengeEntry(challenge, { ...entry, moves: entry.moves - 1 }).ok) issues.push('entry with a doctored move count verified');
+            if (verifyChallengeEntry(challenge, { level: 3, moves: 10 }).ok) issues.push('entry without a replay verified');
+            if (Object.keys(ruleOverrides).length) issues.push('verifyChallengeEntry left its rules behind');
+        } finally {
+            setRuleOverrides({});
+            effectsEnabled = true;
+        }
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 30: Rulesets - per-level overrides land on the right levels, bad rulesets are
+    // refused, URL parameters round-trip, and bot games and replays run under their ruleset
+    testRulesets: function() {
+        const issues = [];
+        effectsEnabled = false;
+        try {
+            const ruleset = {
+                chainCollapseAmount: 5,
+                levels: { '3-4': { roomDecayBase: 15, corridorDecayBase: 11 }, '4': { roomDecayBase: 20 }, '5+': { stabilizerRadius: 3 } }
+            };
+            if (validateRuleset(ruleset).length) issues.push(`valid ruleset refused: ${validateRuleset(ruleset).join(', ')}`);
+            withRuleOverrides(ruleset, () => {
+                const expect = (level, key, value) => {
+                    const actual = getLevelConfig(level)[key];
+                    if (actual !== value) issues.push(`L${level} ${key} is ${actual}, expected ${value}`);
+                };
+                expect(2, 'chainCollapseAmount', 5);
+                expect(2, 'roomDecayBase', defaultLevelConfig(2).roomDecayBase);
+                expect(3, 'roomDecayBase', 15);
+                expect(4, 'roomDecayBase', 20);   // A single level wins over a range
+                expect(4, 'corridorDecayBase', 11);
+                expect(4, 'stabilizerRadius', defaultLevelConfig(4).stabilizerRadius);
+                expect(9, 'stabilizerRadius', 3);
+                expect(9, 'chainCollapseAmount', 5);
+                if ('levels' in getLevelConfig(4)) issues.push('levels leaked into the level config');
+            });
+            if (Object.keys(ruleOverrides).length) issues.push('withRuleOverrides left its rules behind');
+
+            const refused = {
+                'unknown rule': { chainCollapse: 3 },
+                'fixed setting': { mapWidth: 20 },
+                'wrong type': { decayMemory: 'yes' },
+                'negative number': { stabilizerRadius: -1 },
+                'bad stabilizer type': { stabilizerType: 'cone' },
+                'bad generator': { mapGenerator: 'maze' },
+                'bad level key': { levels: { 'deep': { roomDecayBase: 3 } } },
+                'bad level rule': { levels: { '2': { corridorDecayBase: '7' } } },
+                'not an object': [1, 2]
+            };
+            for (const [what, rules] of Object.entries(refused)) {
+                if (!validateRuleset(rules).length) issues.push(`${what} accepted`);
+            }
+
+            // URL parameters: single rules and per-level ones, round-tripped through rulesetToParams
+            // Decoded the way URLSearchParams does it, '+' included
+            const query = (text) => text.split('&').map(p => p.split('=').map(part => decodeURIComponent(part.replace(/\+/g, ' '))));
+            const fromUrl = rulesetFromParams(query('rule.chainCollapseAmount=5&rule.L3-4.roomDecayBase=15&rule.L3-4.corridorDecayBase=11&rule.L4.roomDecayBase=20&rule.L5+.stabilizerRadius=3&page=2'));
+            if (fromUrl.errors.length || JSON.stringify(fromUrl.rules) !== JSON.stringify(ruleset)) issues.push(`URL rules parsed as ${JSON.stringify(fromUrl.rules)}`);
+            if (JSON.stringify(rulesetFromParams(query(rulesetToParams(ruleset))).rules) !== JSON.stringify(ruleset)) issues.push('per-level ruleset did not round-trip');
+            const decayMemoryOnly = rulesetFromParams(query(rulesetToParams({ decayMemory: true, stabilizerType: null })));
+            if (decayMemoryOnly.rules?.decayMemory !== true || decayMemoryOnly.rules?.stabilizerType !== null) issues.push('booleans/null did not round-trip');
+            const authored = { mapGenerator: 'authored', authoredLevel: { name: 'Tiny', tiles: ['#####', '#@.>#', '#####'], decay: 5 } };
+            if (JSON.stringify(rulesetFromParams(query(rulesetToParams(authored))).rules) !== JSON.stringify(authored)) issues.push('authored ruleset did not round-trip as JSON');
+            if (rulesetFromParams(query('page=2')).rules !== null) issues.push('parameters without rules made a ruleset');
+            if (!rulesetFromParams(query('rule.mapHeight=10')).errors.length) issues.push('fixed setting accepted from the URL');
+
+            // Bot games take a ruleset, and replays recorded under one only verify under it
+            const loose = { levels: { '2+': { roomDecayBase: 30, corridorDecayBase: 25 } } };
+            runBotGame('greedy', 300, 3, 1400, false, loose);
+            if (Object.keys(ruleOverrides).length) issues.push('runBotGame left its ruleset behind');
+            const replay = withRuleOverrides(loose, () => recordBotReplay('greedy', 1400, 3));
+            if (JSON.stringify(replay.rules) !== JSON.stringify(loose)) issues.push('replay did not record its ruleset');
+            const verified = verifyReplay(replay);
+            if (!verified.ok) issues.push(`ruleset replay failed to verify: ${verified.reason}`);
+            if (verifyReplay({ ...replay, rules: undefined }).ok) issues.push('ruleset replay verified on the standard rules');
+            if (validateReplay({ ...replay, rules: { mapWidth: 10 } }).length === 0) issues.push('replay with an invalid ruleset passed validation');
+        } finally {
+            setRuleOverrides({});
+            effectsEnabled = true;
+        }
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 31: Difficulty curve - the per-level counts --calibrate works from agree with the
+    // bot games behind them, and the heuristic bot plays through runBotGame
+    testDifficultyCurve: function() {
+        const issues = [];
+        try {
+            const curve = runDifficultyCurve(3, 1500, 4, ['greedy', 'heuristic']);
+            for (const bot of ['greedy', 'heuristic']) {
+                const counts = curve.reached[bot];
+                if (counts?.length !== 5) { issues.push(`${bot} curve has ${counts?.length} entries`); continue; }
+                if (counts[1] !== 3) issues.push(`${bot}: ${counts[1]} of 3 runs reached level 1`);
+                for (let level = 2; level <= 4; level++) {
+                    if (counts[level] > counts[level - 1]) issues.push(`${bot}: more runs reached L${level} than L${level - 1}`);
+                }
+                const expected = [0, 0, 0, 0, 0];
+                for (let i = 0; i < 3; i++) {
+                    const r = runBotGame(bot, 3000, 4, 1500 + i);
+                    for (let level = 1; level <= r.level; level++) expected[level]++;
+                }
+                if (JSON.stringify(expected) !== JSON.stringify(counts)) issues.push(`${bot} curve ${JSON.stringify(counts)} but games reach ${JSON.stringify(expected)}`);
+            }
+        } finally {
+            effectsEnabled = true;
+        }
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 32: Baseline games - the totals --baseline records are the bot games' own moves,
+    // levels and gameStats, and seed ranges run apart add up to the whole range
+    testBaselineGames: function() {
+        const issues = [];
+        try {
+            const whole = runBaselineGames(2, 1500, 3, ['greedy']).greedy;
+            const parts = [runBaselineGames(1, 1500, 3, ['greedy']).greedy, runBaselineGames(1, 1501, 3, ['greedy']).greedy];
+            const games = [runBotGame('greedy', 3000, 3, 1500), runBotGame('greedy', 3000, 3, 1501)];
+
+            if (whole.games !== 2) issues.push(`${whole.games} games for 2 seeds`);
+            const moves = games[0].moves + games[1].moves;
+            if (whole.moves !== moves) issues.push(`moves ${whole.moves}, games made ${moves}`);
+            for (const stat of BASELINE_STATS) {
+                const expected = games[0].gameStats[stat] + games[1].gameStats[stat];
+                if (whole.stats[stat] !== expected) issues.push(`${stat} ${whole.stats[stat]}, games had ${expected}`);
+            }
+            // crystalsCollected restarts each level; the stat must still count the levels left behind
+            if (!whole.stats.crystalsCollected) issues.push('no crystals counted over levels the games cleared');
+            const summed = {
+                games: parts[0].games + parts[1].games,
+                moves: parts[0].moves + parts[1].moves,
+                reached: parts[0].reached.map((n, level) => n + parts[1].reached[level]),
+                stats: Object.fromEntries(BASELINE_STATS.map(stat => [stat, parts[0].stats[stat] + parts[1].stats[stat]]))
+            };
+            if (JSON.stringify(summed) !== JSON.stringify(whole)) issues.push('split seed ranges do not add up to the whole range');
+        } finally {
+            effectsEnabled = true;
+        }
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 33: Bot registry - a registered bot gets init() per game and a frozen view each turn,
+    // its simulator tools leave the live game alone, and a bot that plays greedy's moves through
+    // the registry plays greedy's game
+    testBotRegistry: function() {
+        const issues = [];
+        const inits = [];
+        let turns = 0, thawed = 0, simTouchedLive = 0;
+        registerBot('test-mirror', {
+            init: (info) => inits.push(info.seed),
+            chooseMove: (view, tools) => {
+                turns++;
+                if (!Object.isFrozen(view.player) || !Object.isFrozen(view.map[0]) || !Object.isFrozen(view.validMoves)) thawed++;
+                if (turns % 10 === 1 && view.validMoves.length) {
+                    const before = hashReplayState();
+                    const sim = tools.cloneState();
+                    tools.simStep(sim, { action: 'move', dx: view.validMoves[0].dx, dy: view.validMoves[0].dy });
+                    if (hashReplayState() !== before) simTouchedLive++;
+                }
+                return greedyBotMove();
+            }
+        });
+        try {
+            const mirror = runBotGame('test-mirror', 3000, 3, 1500);
+            const greedy = runBotGame('greedy', 3000, 3, 1500);
+            if (JSON.stringify(inits) !== '[1500]') issues.push(`init calls ${JSON.stringify(inits)}, expected [1500]`);
+            if (turns === 0) issues.push('chooseMove never called');
+            if (thawed) issues.push(`${thawed} turns had a writable view`);
+            if (simTouchedLive) issues.push(`simStep on a cloned state changed the live game ${simTouchedLive} times`);
+            if (mirror.level !== greedy.level || mirror.moves !== greedy.moves) {
+                issues.push(`mirror reached L${mirror.level} in ${mirror.moves} moves, greedy L${greedy.level} in ${greedy.moves}`);
+            }
+            let threw = false;
+            try { runBotGame('no-such-bot', 10, 2, 1500); } catch (e) { threw = true; }
+            if (!threw) issues.push('unknown bot type did not throw');
+
+            // Picked-up items drop out of the view
+            gameState.level = 1;
+            generateMap(1500);
+            const { x: px, y: py } = gameState.player;
+            const step = [[1, 0], [-1, 0], [0, 1], [0, -1]].find(([dx, dy]) => gameState.map[py + dy]?.[px + dx] === TILE.FLOOR &&
+                !gameState.pillars.some(p => p.x === px + dx && p.y === py + dy));
+            if (step) {
+                const [dx, dy] = step;
+                gameState.grappleItems.push({ x: px + dx, y: py + dy, collected: false });
+                const listed = () => botView().items.grapple.some(i => i.x === px + dx && i.y === py + dy);
+                if (!listed()) issues.push('grapple item on the map missing from the view');
+                const charges = gameState.grappleCharges;
+                tryMove(dx, dy);
+                if (gameState.grappleCharges !== charges + 1) issues.push('grapple item not picked up');
+                if (listed()) issues.push('picked-up grapple item still in the view');
+            }
+        } finally {
+            delete BOT_TYPES['test-mirror'];
+            effectsEnabled = true;
+        }
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 34: Agent protocol - every listed legal action is accepted, illegal ones come back as
+    // errors without touching the game, and a whole run played through agentAct (greedy's moves
+    // translated to protocol actions) ends where runBotGame's greedy game does
+    testAgentProtocol: function() {
+        const issues = [];
+        try {
+            const first = agentStartRun({ seed: 1500, targetLevel: 3 });
+            if (first.protocol !== AGENT_PROTOCOL_VERSION) issues.push(`protocol ${first.protocol}`);
+            if (first.map.length !== CONFIG.mapHeight || first.map[0].length !== CONFIG.mapWidth) issues.push('map has the wrong size');
+            if (first.map[first.player.y][first.player.x] !== '@') issues.push('player not marked on the map');
+            for (const action of first.legalActions) {
+                const { error } = agentMove(action);
+                if (error) issues.push(`legal ${JSON.stringify(action)} rejected: ${error.code}`);
+            }
+
+            const before = hashReplayState();
+            const wall = Object.entries(AGENT_DIRS).find(([, [dx, dy]]) => gameState.map[first.player.y + dy]?.[first.player.x + dx] === TILE.WALL);
+            const illegal = [['{oops', 'bad-json'], [{ action: 'fly' }, 'unknown-action'], [{ action: 'move', dir: 'UP' }, 'bad-direction'],
+                             [{ action: 'stabilize' }, 'no-charges'], [{ action: 'grapple', x: 0, y: 0 }, 'no-charges'], [{ action: 'descend' }, 'not-on-stairs']];
+            if (wall) illegal.push([{ action: 'move', dir: wall[0] }, 'wall']);
+            for (const [action, code] of illegal) {
+                const r = agentAct(action);
+                if (r.ok || r.error?.code !== code) issues.push(`${JSON.stringify(action)}: expected ${code}, got ${r.ok ? 'ok' : r.error?.code}`);
+            }
+            if (hashReplayState() !== before) issues.push('a rejected action changed the game');
+
+            const expected = runBotGame('greedy', 3000, 3, 1500);
+            agentStartRun({ seed: 1500, targetLevel: 3 });
+            greedyLastPos = null;
+            clearOraclePlan(true);
+            cachedStairsField = null;
+            const dirName = (dx, dy) => Object.keys(AGENT_DIRS).find(d => AGENT_DIRS[d][0] === dx && AGENT_DIRS[d][1] === dy);
+            let turns = 0, obs = null;
+            while (turns < 3000) {
+                const move = greedyBotMove();
+                if (!move) break;
+                const action = move.action === 'stabilize' ? { action: 'stabilize' } :
+                               move.action === 'descend' ? { action: 'descend' } :
+                               move.targetX !== undefined ? { action: move.action, x: move.targetX, y: move.targetY } :
+                               { action: 'move', dir: dirName(move.dx, move.dy) };
+                const r = agentAct(action);
+                if (!r.ok) { issues.push(`turn ${turns}: ${JSON.stringify(action)} rejected: ${r.error.message}`); break; }
+                turns++;
+                obs = r.observation;
+                if (obs.status !== 'playing') break;
+            }
+            if (expected.won && obs?.status !== 'won') issues.push(`greedy wins seed 1500 but the agent run ended ${obs?.status} on L${obs?.level}`);
+            if (expected.won && turns !== expected.moves) issues.push(`agent run took ${turns} actions, greedy ${expected.moves}`);
+            if (obs?.status === 'won' && obs.legalActions.length) issues.push('a finished run still lists legal actions');
+        } finally {
+            effectsEnabled = true;
+        }
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 35: Oracle hints - asking leaves the game, RNG and oracle plan alone, the hint starts
+    // with the move the oracle would make, and a JSON copy of the position (what the page sends
+    // to oracle-worker.js) gets the same hint
+    testOracleHint: function() {
+        const issues = [];
+        try {
+            // With decay switched off (the T key) the hint is the whole way to the stairs
+            agentStartRun({ seed: 1500, targetLevel: 5 });
+            gameState.decayEnabled = false;
+            const decayOff = oracleHint();
+            gameState.decayEnabled = true;
+            const last = decayOff.path[decayOff.path.length - 1];
+            if (decayOff.margin !== null) issues.push(`margin ${decayOff.margin} with decay off, expected null`);
+            if (!last || last.x !== gameState.stairsX || last.y !== gameState.stairsY) issues.push('decay-off hint does not reach the stairs');
+
+            greedyLastPos = null;
+            for (let i = 0; i < 300 && gameState.level < 2; i++) executeBotMove(greedyBotMove());
+            for (let i = 0; i < 5; i++) executeBotMove(greedyBotMove());
+            if (gameState.level !== 2) issues.push(`setup ended on L${gameState.level}`);
+
+            clearOraclePlan(true);
+            const hash = hashReplayState(), rng = rngState;
+            const hint = oracleHint();
+            if (hashReplayState() !== hash || rngState !== rng) issues.push('asking for a hint changed the game');
+            if (oracleCachedPlan !== null) issues.push('asking for a hint left a cached oracle plan');
+            if (typeof hint.margin !== 'number' || hint.margin <= 0) issues.push(`margin ${hint.margin}`);
+
+            const copy = JSON.parse(JSON.stringify(oraclePosition()));
+            loadOraclePosition(copy);
+            if (hashReplayState() !== hash) issues.push('loading the position copy changed the game');
+            if (JSON.stringify(oracleHint()) !== JSON.stringify(hint)) issues.push('hint differs on the position copy');
+
+            oracleLastPos = null;
+            const move = oracleBotMove();
+            if (JSON.stringify(move) !== JSON.stringify(hint.firstMove)) {
+                issues.push(`hint starts ${JSON.stringify(hint.firstMove)}, oracle plays ${JSON.stringify(move)}`);
+            }
+            if (move.action === 'move') {
+                const step = hint.path[0];
+                if (step?.x !== gameState.player.x + move.dx || step?.y !== gameState.player.y + move.dy) issues.push('path does not start with the first move');
+            }
+        } finally {
+            effectsEnabled = true;
+        }
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Test 36: Cascade preview - a row D A B C where A is about to go, B is weak and D frozen:
+    // A collapses on its own, its chain takes B and shakes C, D stops it, hovering elsewhere
+    // shows none of it, walking onto B falls with it, and the game itself is left alone
+    testCascadePreview: function() {
+        const issues = [];
+        generateMap(1000);
+        gameState.level = 3;
+        gameState.enemies = [];
+        const floor = (x, y) => gameState.map[y]?.[x] === TILE.FLOOR &&
+            !gameState.pillars.some(p => Math.abs(p.x - x) <= 2 && Math.abs(p.y - y) <= 2);
+        let row = null;
+        for (let y = 2; y < CONFIG.mapHeight - 2 && !row; y++) {
+            for (let x = 2; x < CONFIG.mapWidth - 5 && !row; x++) {
+                if ([0, 1, 2, 3].every(i => floor(x + i, y)) && floor(x + 2, y + 1)) row = { x, y };
+            }
+        }
+        if (!row) return { passed: true, skipped: 'no suitable row found' };
+
+        const { x, y } = row;
+        for (const r of gameState.awakened) r.fill(false);
+        const set = (dx, decay) => { gameState.awakened[y][x + dx] = true; gameState.decay[y][x + dx] = decay; };
+        set(0, 10);
+        set(1, 1);
+        set(2, 3);
+        set(3, 10);
+        gameState.frozenTiles = [{ x, y, turnsRemaining: 5 }];
+        gameState.player = { x: x + 2, y: y + 1 };
+        const hash = hashReplayState();
+
+        const preview = previewCascade([{ x: x + 1, y }], 1);
+        const find = (list, dx) => list.find(e => e.x === x + dx && e.y === y);
+        const a = find(preview.collapses, 1), b = find(preview.collapses, 2);
+        if (!a || a.turn !== 1 || a.from !== null) issues.push(`A: ${JSON.stringify(a)}`);
+        if (!b || b.from?.x !== x + 1 || b.cascade !== a?.cascade) issues.push(`B not taken by A's chain: ${JSON.stringify(b)}`);
+        const c = find(preview.reached, 3);
+        if (!c || c.decay !== 10 - 1 - getLevelConfig(3).chainCollapseAmount) issues.push(`C: ${JSON.stringify(c)}`);
+        const d = find(preview.blocked, 0);
+        if (!d || d.by !== 'frozen') issues.push(`D: ${JSON.stringify(d)}`);
+        if (preview.playerFalls !== null) issues.push(`waiting player falls on turn ${preview.playerFalls}`);
+
+        const elsewhere = previewCascade([{ x: x + 3, y: y + 1 }], 1);
+        if (elsewhere.collapses.some(e => e.cascade === a?.cascade)) issues.push('unrelated tile shows the cascade');
+        const walk = previewCascade([{ x: x + 2, y }], 1, [{ x: x + 2, y }]);
+        if (walk.playerFalls !== 1) issues.push(`walking onto B: playerFalls ${walk.playerFalls}`);
+        if (hashReplayState() !== hash) issues.push('previewing changed the game');
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    testSurroundings: function() {
+        const issues = [];
+        generateMap(1000);
+        gameState.level = 3;
+        gameState.enemies = [];
+        gameState.frozenTiles = [];
+        const floor = (x, y) => gameState.map[y]?.[x] === TILE.FLOOR &&
+            !gameState.pillars.some(p => Math.abs(p.x - x) <= 2 && Math.abs(p.y - y) <= 2);
+        let row = null;
+        for (let y = 2; y < CONFIG.mapHeight - 4 && !row; y++) {
+            for (let x = 2; x < CONFIG.mapWidth - 5 && !row; x++) {
+                if ([0, 1, 2, 3].every(i => floor(x + i, y)) && floor(x + 2, y + 1) && floor(x + 2, y + 3)) row = { x, y };
+            }
+        }
+        if (!row) return { passed: true, skipped: 'no suitable row found' };
+
+        // A (decay 1) next to B (decay 3): walking onto B, A's chain takes it on the first turn
+        const { x, y } = row;
+        for (const r of gameState.awakened) r.fill(false);
+        for (const r of gameState.visible) r.fill(true);
+        gameState.awakened[y][x + 1] = true;
+        gameState.decay[y][x + 1] = 1;
+        gameState.awakened[y][x + 2] = true;
+        gameState.decay[y][x + 2] = 3;
+        gameState.player = { x: x + 2, y: y + 1 };
+        const hash = hashReplayState();
+
+        if (offsetWords(0, 0) !== 'underfoot' || offsetWords(1, -2) !== '2 north, 1 east') {
+            issues.push(`offsetWords: ${offsetWords(0, 0)} / ${offsetWords(1, -2)}`);
+        }
+        const walk = describeSurroundings([{ x: x + 2, y }]);
+        if (!walk.lines[0].includes('dormant ground')) issues.push(`underfoot: ${walk.lines[0]}`);
+        const [a, b] = walk.danger;
+        if (walk.danger.length !== 2 || a.phase !== 'crumbling' || a.x !== x + 1 || b.phase !== 'cracked' || b.steps !== 1) {
+            issues.push(`danger: ${JSON.stringify(walk.danger)}`);
+        }
+        const step = walk.path?.collapses[0];
+        if (!step || step.step !== 1 || step.turn !== 1 || walk.path.playerFalls !== 1) issues.push(`path: ${JSON.stringify(walk.path)}`);
+        const pathLine = walk.lines.find(l => l.startsWith('Path of 1 step to 1 north'));
+        if (!pathLine || !pathLine.includes('as you step on it') || !pathLine.includes('You would fall on turn 1')) {
+            issues.push(`path line: ${pathLine}`);
+        }
+
+        // Only enemies in sight are listed, nearest first
+        spawnEnemy('mender', x + 2, y + 3);
+        spawnEnemy('crawler', x, y);
+        gameState.visible[y][x] = false;
+        const still = describeSurroundings();
+        if (still.path !== null || still.enemies.length !== 1 || still.lines[still.lines.length - 1] !== 'Enemies: mender 2 south.') {
+            issues.push(`enemies: ${still.lines[still.lines.length - 1]}`);
+        }
+        gameState.decayEnabled = false;
+        const off = describeSurroundings();
+        gameState.decayEnabled = true;
+        if (!off.lines[0].endsWith('Decay is off.') || off.danger.length) issues.push(`decay off: ${off.lines[0]}`);
+        gameState.enemies = [];
+        if (hashReplayState() !== hash) issues.push('describing changed the game');
+
+        return { passed: issues.length === 0, issues };
+    },
+
+    // Mechanic-Exerciser Driver: Phase-based driver that forces all game mechanics
+    // Used to test sim↔real alignment on mechanics greedy might skip
+    mechanicExerciserMove: function() {
+        const px = gameState.player.x;
+        const py = gameState.player.y;
+
+        // If on stairs, descend
+        if (gameState.map[py][px] === TILE.STAIRS_DOWN) {
+            return { action: 'descend' };
+        }
+
+        // Safety: Use stabilizer when on critically low decay (≤2)
+        const playerDecay = gameState.decay[py]?.[px] || 0;
+        if (playerDecay > 0 && playerDecay <= 2 && gameState.stabilizerCharges > 0 && gameState.stabilizerCooldown === 0) {
+            return { action: 'stabilize' };
+        }
+
+        // Helper: Check if next step is safe (decay > 1)
+        const isSafeStep = (path) => {
+            if (!path || path.length === 0) return false;
+            const next = path[0];
+            const nextDecay = gameState.decay[next.y]?.[next.x] || 0;
+            return nextDecay === 0 || nextDecay > 1; // 0 means undecayed, >1 means safe
+        };
+
+        // Phase 1: Hunt pillars - move adjacent and try to push
+        for (let i = 0; i < gameState.pillars.length; i++) {
+            const p = gameState.pillars[i];
+
+            // Check if already adjacent to this pillar
+            const isAdjacent = Math.abs(p.x - px) <= 1 && Math.abs(p.y - py) <= 1 && !(p.x === px && p.y === py);
+            if (isAdjacent) continue; // Bonus triggers on move, so keep moving
+
+            // Find a walkable tile adjacent to the pillar
+            for (const dir of [[-1,-1],[-1,0],[-1,1],[0,-1],[0,1],[1,-1],[1,0],[1,1]]) {
+                const adjX = p.x + dir[0];
+                const adjY = p.y + dir[1];
+                if (!inBounds(adjX, adjY)) continue;
+                if (gameState.map[adjY][adjX] !== TILE.FLOOR && gameState.map[adjY][adjX] !== TILE.STAIRS_DOWN) continue;
+                if (isPillarAt(adjX, adjY)) continue;
+
+                // Path to this adjacent tile
+                const path = findPathOmniscient(px, py, adjX, adjY);
+                if (path && path.length > 0 && isSafeStep(path)) {
+                    const next = path[0];
+                    return { action: 'move', dx: next.x - px, dy: next.y - py };
+                }
+            }
+        }
+
+        // Phase 2: Enter rooms - move to center of each unentered room
+        for (let i = 0; i < gameState.rooms.length; i++) {
+            if (gameState.enteredRooms.has(i)) continue;
+            const room = gameState.rooms[i];
+            const centerX = Math.floor(room.x + room.w / 2);
+            const centerY = Math.floor(room.y + room.h / 2);
+
+            // Path to room center
+            const path = findPathOmniscient(px, py, centerX, centerY);
+            if (path && path.length > 0 && isSafeStep(path)) {
+                const next = path[0];
+                return { action: 'move', dx: next.x - px, dy: next.y - py };
+            }
+        }
+
+        // Phase 3: Collect crystals
+        for (const crystal of gameState.crystals) {
+            if (crystal.collected || crystal.destroyed) continue;
+            const path = findPathOmniscient(px, py, crystal.x, crystal.y);
+            if (path && path.length > 0 && isSafeStep(path)) {
+                const next = path[0];
+                return { action: 'move', dx: next.x - px, dy: next.y - py };
+            }
+        }
+
+        // Phase 4: Default - path to stairs (always take if safe)
+        const stairsPath = findPathOmniscient(px, py, gameState.stairsX, gameState.stairsY);
+        if (stairsPath && stairsPath.length > 0 && isSafeStep(stairsPath)) {
+            const next = stairsPath[0];
+            return { action: 'move', dx: next.x - px, dy: next.y - py };
+        }
+
+        // Phase 5: Emergency stabilizer if we have charges but didn't use them
+        if (playerDecay > 0 && playerDecay <= 4 && gameState.stabilizerCharges > 0 && gameState.stabilizerCooldown === 0) {
+            return { action: 'stabilize' };
+        }
+
+        // Phase 6: Fallback - take any move toward stairs even if risky
+        if (stairsPath && stairsPath.length > 0) {
+            const next = stairsPath[0];
+            return { action: 'move', dx: next.x - px, dy: next.y - py };
+        }
+
+        // No valid action
+        return null;
+    },
+
+    // Test: Shadow-step - verify sim matches real game after each action
+    testShadowStep: function(seed = 1006, maxSteps = 50, driverType = 'greedy') {
+        const issues = [];
+
+        // Generate map with fixed seed
+        generateMap(seed);
+        gameState.level = 3; // Use level 3 for meaningful decay
+
+        // Clone for simulation
+        const simState = cloneStateForSimulation();
+
+        // Helper to extract physics-relevant state for comparison
+        const extractPhysicsState = (state) => {
+            return {
+                playerX: state.player.x,
+                playerY: state.player.y,
+                moves: state.moves,
+                charges: state.stabilizerCharges,
+                cooldown: state.stabilizerCooldown,
+                crystalsCollected: state.crystalsCollected,
+                crystals: state.crystals.map(c => ({
+                    x: c.x, y: c.y, collected: c.collected, destroyed: c.destroyed
+                })),
+                frozenCount: state.frozenTiles.length,
+                frozenTiles: state.frozenTiles.map(f => `${f.x},${f.y},${f.turnsRemaining}`).sort(),
+                enteredRooms: Array.from(state.enteredRooms || []).sort(),
+                pillarPositions: (state.pillars || []).map(p => `${p.x},${p.y}`).sort()
+            };
+        };
+
+        // Compare two physics states
+        const compareStates = (realS, simS, step) => {
+            const diffs = [];
+            if (realS.playerX !== simS.playerX || realS.playerY !== simS.playerY) {
+                diffs.push(`player pos: real(${realS.playerX},${realS.playerY}) vs sim(${simS.playerX},${simS.playerY})`);
+            }
+            if (realS.moves !== simS.moves) {
+                diffs.push(`moves: real(${realS.moves}) vs sim(${simS.moves})`);
+            }
+            if (realS.charges !== simS.charges) {
+                diffs.push(`charges: real(${realS.charges}) vs sim(${simS.charges})`);
+            }
+            if (realS.cooldown !== simS.cooldown) {
+                diffs.push(`cooldown: real(${realS.cooldown}) vs sim(${simS.cooldown})`);
+            }
+            if (realS.crystalsCollected !== simS.crystalsCollected) {
+                diffs.push(`crystals: real(${realS.crystalsCollected}) vs sim(${simS.crystalsCollected})`);
+            }
+            // Compare per-crystal states (not just aggregate count)
+            const realCr = realS.crystals.map(c => `${c.x},${c.y},${c.collected?1:0},${c.destroyed?1:0}`).sort().join(';');
+            const simCr = simS.crystals.map(c => `${c.x},${c.y},${c.collected?1:0},${c.destroyed?1:0}`).sort().join(';');
+            if (realCr !== simCr) {
+                diffs.push('per-crystal state mismatch');
+            }
+            if (realS.frozenCount !== simS.frozenCount) {
+                diffs.push(`frozen count: real(${realS.frozenCount}) vs sim(${simS.frozenCount})`);
+            }
+            // Compare frozen tiles content
+            const realFrozen = realS.frozenTiles.join(';');
+            const simFrozen = simS.frozenTiles.join(';');
+            if (realFrozen !== simFrozen) {
+                diffs.push(`frozen tiles differ`);
+            }
+            // Compare entered rooms
+            const realRooms = realS.enteredRooms.join(',');
+            const simRooms = simS.enteredRooms.join(',');
+            if (realRooms !== simRooms) {
+                diffs.push(`entered rooms: real(${realRooms}) vs sim(${simRooms})`);
+            }
+            // Compare pillar positions
+            const realPillars = realS.pillarPositions.join(',');
+            const simPillars = simS.pillarPositions.join(',');
+            if (realPillars !== simPillars) {
+                diffs.push(`pillar positions: real(${realPillars}) vs sim(${simPillars})`);
+            }
+            return diffs;
+        };
+
+        // Compare decay grids
+        const compareDecay = (step) => {
+            const diffs = [];
+            for (let y = 0; y < CONFIG.mapHeight; y++) {
+                for (let x = 0; x < CONFIG.mapWidth; x++) {
+                    if (gameState.decay[y][x] !== simState.decay[y][x]) {
+                        diffs.push(`decay@(${x},${y}): real(${gameState.decay[y][x]}) vs sim(${simState.decay[y][x]})`);
+                        if (diffs.length >= 5) return diffs; // Limit output
+                    }
+                }
+            }
+            return diffs;
+        };
+
+        // Compare awakened grids
+        const compareAwakened = (step) => {
+            const diffs = [];
+            for (let y = 0; y < CONFIG.mapHeight; y++) {
+                for (let x = 0; x < CONFIG.mapWidth; x++) {
+                    if (!!gameState.awakened[y][x] !== !!simState.awakened[y][x]) {
+                        diffs.push(`awakened@(${x},${y}): real(${!!gameState.awakened[y][x]}) vs sim(${!!simState.awakened[y][x]})`);
+                        if (diffs.length >= 5) return diffs;
+                    }
+                }
+            }
+            return diffs;
+        };
+
+        // Compare map grids
+        const compareMap = (step) => {
+            const diffs = [];
+            for (let y = 0; y < CONFIG.mapHeight; y++) {
+                for (let x = 0; x < CONFIG.mapWidth; x++) {
+                    if (gameState.map[y][x] !== simState.map[y][x]) {
+                        diffs.push(`map@(${x},${y}): real(${gameState.map[y][x]}) vs sim(${simState.map[y][x]})`);
+                        if (diffs.length >= 5) return diffs;
+                    }
+                }
+            }
+            return diffs;
+        };
+
+        let stepsExecuted = 0;
+        let firstMismatchStep = -1;
+
+        // Helper to get next move based on driver type
+        const getNextMove = () => {
+            if (driverType === 'mechanic-exerciser') {
+                return this.mechanicExerciserMove();
+            } else if (driverType === 'oracle') {
+                return oracleBotMove();
+            }
+            return greedyBotMove(); // Default to greedy
+        };
+
+        let prevMoves = gameState.moves;
+        let rewindDetected = false;
+
+        // COVERAGE EVENTS: Track which mechanics have been exercised
+        const coverageEvents = {
+            roomEntered: false,
+            tileCollapsed: false,
+            stabilizerUsed: false,
+            pillarPushed: false,
+            chainCollapse: false
+        };
+        const initialMapVersion = gameState.mapVersion || 0;
+        let prevMapVersion = initialMapVersion;
+        const initialPillarPositions = gameState.pillars.map(p => ({ x: p.x, y: p.y }));
+
+        for (let step = 0; step < maxSteps; step++) {
+            // Check for stairs reached or death
+            if (gameState.map[gameState.player.y][gameState.player.x] === TILE.STAIRS_DOWN) break;
+            if (gameState.map[gameState.player.y][gameState.player.x] === TILE.VOID) break;
+
+            // Get bot decision for both
+            const decision = getNextMove();
+            if (!decision || decision.action === 'none') break;
+
+            // Apply to real game
+            if (decision.action === 'move') {
+                tryMove(decision.dx, decision.dy, true);
+            } else if (decision.action === 'stabilize') {
+                useStabilizer();
+            }
+
+            // Detect rewind (moves count decreased = death recovery)
+            if (gameState.moves < prevMoves) {
+                rewindDetected = true;
+                break; // Stop test - rewind breaks sim↔real comparison
+            }
+            prevMoves = gameState.moves;
+
+            // Apply same action to sim
+            if (decision.action === 'move') {
+                simStep(simState, { action: 'move', dx: decision.dx, dy: decision.dy });
+            } else if (decision.action === 'stabilize') {
+                simStep(simState, { action: 'stabilize' });
+            }
+
+            stepsExecuted++;
+
+            // UPDATE COVERAGE EVENTS
+            if (!coverageEvents.roomEntered && (gameState.enteredRooms?.size > 0)) {
+                coverageEvents.roomEntered = true;
+            }
+            if (!coverageEvents.stabilizerUsed && gameState.frozenTiles.length > 0) {
+                coverageEvents.stabilizerUsed = true;
+            }
+            if (!coverageEvents.pillarPushed) {
+                for (let pi = 0; pi < gameState.pillars.length; pi++) {
+                    if (gameState.pillars[pi].x !== initialPillarPositions[pi]?.x ||
+                        gameState.pillars[pi].y !== initialPillarPositions[pi]?.y) {
+                        coverageEvents.pillarPushed = true;
+                        break;
+                    }
+                }
+            }
+            // Detect tile collapse or chain collapse via mapVersion change
+            const currentMapVersion = gameState.mapVersion || 0;
+            if (currentMapVersion > prevMapVersion) {
+                const delta = currentMapVersion - prevMapVersion;
+                coverageEvents.tileCollapsed = true;
+                if (delta > 1) {
+                    coverageEvents.chainCollapse = true; // Multiple tiles collapsed = chain
+                }
+                prevMapVersion = currentMapVersion;
+            }
+
+            // Compare states
+            const realPhysics = extractPhysicsState(gameState);
+            const simPhysics = extractPhysicsState(simState);
+            const stateDiffs = compareStates(realPhysics, simPhysics, step);
+            const decayDiffs = compareDecay(step);
+            const awakenedDiffs = compareAwakened(step);
+            const mapDiffs = compareMap(step);
+
+            if (stateDiffs.length > 0 || decayDiffs.length > 0 || awakenedDiffs.length > 0 || mapDiffs.length > 0) {
+                if (firstMismatchStep === -1) firstMismatchStep = step;
+                const allDiffs = [...stateDiffs, ...decayDiffs.slice(0,3), ...awakenedDiffs.slice(0,3), ...mapDiffs.slice(0,3)];
+                issues.push(`Step ${step} (${decision.action}): ${allDiffs.slice(0,5).join('; ')}`);
+                if (issues.length >= 10) break; // Cap issues
+            }
+        }
+
+        // COVERAGE-BASED STOPPING: Require 3/5 coverage events for meaningful test
+        const MIN_COVERAGE = 3;
+        const coverageCount = Object.values(coverageEvents).filter(v => v).length;
+        const MIN_STEPS = 10; // Minimum steps as fallback
+
+        return {
+            passed: issues.length === 0 && (coverageCount >= MIN_COVERAGE || stepsExecuted >= 30) && !rewindDetected,
+            issues,
+            stepsExecuted,
+            firstMismatchStep,
+            seed,
+            driverType,
+            rewindDetected,
+            coverageEvents,
+            coverageCount,
+            minCoverageRequired: MIN_COVERAGE
+        };
+    },
+
+    // Field-by-field comparison of two game states (live gameState or sim clones).
+    // Returns human-readable differences, grid cells capped at 5 per grid.
+    diffStates: function(a, b) {
+        const diffs = [];
+        const scalars = ['moves', 'levelMoves', 'mapVersion', 'collapseCount', 'stabilizerCharges', 'stabilizerCooldown',
+                         'crystalsCollected', 'grappleCharges', 'anchorCharges', 'bombCharges', 'consecutiveWaits'];
+        if (a.player.x !== b.player.x || a.player.y !== b.player.y) {
+            diffs.push(`player: live(${a.player.x},${a.player.y}) vs sim(${b.player.x},${b.player.y})`);
+        }
+        for (const key of scalars) {
+            if (a[key] !== b[key]) diffs.push(`${key}: live(${a[key]}) vs sim(${b[key]})`);
+        }
+
+        // Lists compared as sorted strings so order of insertion doesn't matter
+        const lists = {
+            crystals: s => s.crystals.map(c => `${c.x},${c.y},${c.collected?1:0},${c.destroyed?1:0}`),
+            grappleItems: s => s.grappleItems.map(g => `${g.x},${g.y},${g.collected?1:0}`),
+            anchorItems: s => s.anchorItems.map(a => `${a.x},${a.y},${a.collected?1:0}`),
+            bombItems: s => s.bombItems.map(b => `${b.x},${b.y},${b.collected?1:0}`),
+            anchoredTiles: s => [...s.anchoredTiles].map(String),
+            pillars: s => s.pillars.map(p => `${p.x},${p.y}`),
+            enemies: s => s.enemies.map(e => `${e.type}@${e.x},${e.y},d${e.dir ?? '-'},t${e.moveTimer ?? 0}`),
+            frozenTiles: s => s.frozenTiles.map(f => `${f.x},${f.y},${f.turnsRemaining}`),
+            graceTiles: s => s.graceTiles.map(g => `${g.x},${g.y},${g.turnsRemaining}`),
+            enteredRooms: s => [...s.enteredRooms].map(String),
+            restedTiles: s => [...s.restedTiles].map(String),
+            seekerTrail: s => [...s.seekerTrail].map(String)
+        };
+        for (const [key, fn] of Object.entries(lists)) {
+            const la = fn(a).sort().join(';');
+            const lb = fn(b).sort().join(';');
+            if (la !== lb) diffs.push(`${key}: live[${la}] vs sim[${lb}]`);
+        }
+
+        for (const key of ['map', 'decay', 'awakened']) {
+            let cells = 0;
+            for (let y = 0; y < CONFIG.mapHeight && cells < 5; y++) {
+                for (let x = 0; x < CONFIG.mapWidth && cells < 5; x++) {
+                    // awakened is boolean live, 0/1 in sim clones
+                    const va = key === 'awakened' ? !!a[key][y][x] : a[key][y][x];
+                    const vb = key === 'awakened' ? !!b[key][y][x] : b[key][y][x];
+                    if (va !== vb) {
+                        diffs.push(`${key}@(${x},${y}): live(${va}) vs sim(${vb})`);
+                        cells++;
+                    }
+                }
+            }
+        }
+        return diffs;
+    },
+
+    // Test: Differential live-vs-sim - drive the live game with a bot while stepping a
+    // simulated clone through applyAction() with the same actions, and report the first
+    // turn per seed where the two diverge. Descents and deaths are live-only (map generation,
+    // rewind), so the clone is re-synced after them; a death on one side only is a divergence.
+    testDifferential: function(seedStart = 1000, numSeeds = 10, targetLevel = 6, driverType = 'oracle', maxTurns = 400) {
+        const divergences = [];
+        let turnsChecked = 0, resyncs = 0;
+        const botFunc = driverType === 'greedy' ? greedyBotMove :
+                        driverType === 'tactical' ? tacticalBotMove : oracleBotMove;
+
+        for (let seed = seedStart; seed < seedStart + numSeeds; seed++) {
+            // Same reset as runBotGame
+            effectsEnabled = false;
+            gameState.mainMenuActive = false;
+            gameState.level = 1;
+            gameState.moves = 0;
+            gameState.levelMoves = 0;
+            gameState.crystalsCollected = 0;
+            gameState.stabilizerCharges = 0;
+            gameState.grappleCharges = 0;
+            gameState.anchorCharges = 0;
+            gameState.bombCharges = 0;
+            gameState.chargesAtLevelStart = 0;
+            resetTimeline();
+            gameState.baseSeed = seed;
+            generateMap(seed);
+            greedyLastPos = null;
+            oracleLastPos = null;
+            clearOraclePlan(true);
+            cachedStairsField = null;
+
+            let simState = cloneStateForSimulation();
+            let deaths = 0;
+
+            for (let turn = 0; turn < maxTurns && gameState.level < targetLevel; turn++) {
+                const move = botFunc();
+                if (!move || move.action === 'none') break;
+
+                const prevLevel = gameState.level;
+                const prevMoves = gameState.moves;
+                const simResult = move.action === 'descend' ? null : applyAction(simState, move);
+                gameState.didRewindThisTurn = false;
+                executeBotMove(move);
+
+                if (!simResult) {
+                    if (gameState.level !== prevLevel) {
+                        simState = cloneStateForSimulation();
+                        resyncs++;
+                    }
+                    continue;
+                }
+
+                const liveDied = gameState.didRewindThisTurn || (simResult.ok && gameState.moves !== prevMoves + 1);
+                if (liveDied || simResult.died) {
+                    if (liveDied !== simResult.died) {
+                        divergences.push({
+                            seed, level: prevLevel, turn, action: move,
+                            diffs: [`live ${liveDied ? 'died' : 'survived'} but sim ${simResult.died ? 'died' : 'survived'}`]
+                        });
+                        break;
+                    }
+                    if (++deaths > 50) break; // Same cap as runBotGame's rewind loop guard
+                    simState = cloneStateForSimulation();
+                    resyncs++;
+                    continue;
+                }
+
+                turnsChecked++;
+                const diffs = this.diffStates(gameState, simState);
+                if (diffs.length > 0) {
+                    divergences.push({ seed, level: gameState.level, turn, action: move, diffs: diffs.slice(0, 5) });
+                    break;
+                }
+            }
+        }
+        effectsEnabled = true;
+
+        return {
+            passed: divergences.length === 0,
+            seeds: numSeeds,
+            turnsChecked,
+            resyncs,
+            divergences,
+            firstDivergence: divergences[0] || null
+        };
+    },
+
+    // Run all tests
+    runAll: function(quick = true) {
+        const seedCount = quick ? this.config.quickSeeds : this.config.thoroughSeeds;
+        const seedStart = 1000;
+        const results = {};
+
+        console.log('=== ORACLE TEST SUITE ===\n');
+
+        // Test 1: Dominance
+        console.log('Running dominance test...');
+        const dom = this.testDominance(seedStart, seedCount);
+        results.dominance = dom;
+        console.log(`Dominance: ${dom.passed ? 'PASS' : 'FAIL'}`);
+        console.log(`  Oracle wins: ${dom.oWins}/${seedCount}`);
+        console.log(`  Greedy wins: ${dom.gWins}/${seedCount}`);
+        console.log(`  Oracle exclusive: ${dom.oExclusive}`);
+        console.log(`  Greedy exclusive: ${dom.gExclusive} ${dom.gExclusive === 0 ? '✓' : '✗'}\n`);
+
+        // Test 1d: Deep run (L10 regression check)
+        console.log('Running deep run test (L10)...');
+        const deep = this.testDeepRun(seedStart, seedCount);
+        results.deepRun = deep;
+        console.log(`Deep Run (L10): ${deep.passed ? 'PASS' : 'FAIL'}`);
+        console.log(`  Baseline seeds tested: ${deep.baselineTested}, wins: ${deep.baselineWins}`);
+        if (!quick) console.log(`  Total L10 wins: ${deep.currentWins}/${deep.totalTested} (${deep.winRate}%)`);
+        if (deep.regressions.length > 0) console.log(`  Regressions: ${deep.regressions.map(r => `seed ${r.seed} (died L${r.diedAtLevel})`).join(', ')}`);
+        if (deep.improvements > 0) console.log(`  New wins (improvements): ${deep.improvements}`);
+        console.log('');
+
+        // Test 2: Determinism (symmetric)
+        console.log('Running determinism test (oracle + greedy)...');
+        const det = this.testDeterminism([1000, 1001, 1002, 3002, 3008]);
+        results.determinism = det;
+        console.log(`Determinism: ${det.passed ? 'PASS' : 'FAIL'}\n`);
+
+        // Test 3: Regression
+        console.log('Running regression test...');
+        const reg = this.testRegression();
+        results.regression = reg;
+        console.log(`Regression: ${reg.passed ? 'PASS' : 'FAIL'}`);
+        for (const r of reg.results) {
+            console.log(`  Seed ${r.seed}: ${r.actual ? 'WON' : 'LOST'} (${r.moves} moves) ${r.actual === r.expected ? '✓' : '✗'}`);
+        }
+        console.log('');
+
+        // Test 4: Performance
+        console.log('Running performance baseline...');
+        const perf = this.testPerformance([1000, 1001, 1002]);
+        results.performance = perf;
+        console.log(`  Avg oracle time: ${perf.avgOracleTime}ms`);
+        console.log(`  Avg greedy time: ${perf.avgGreedyTime}ms`);
+        console.log(`  Ratio: ${perf.avgRatio}x\n`);
+
+        // Test 5 & 6: Unit tests
+        console.log('Running unit tests...');
+        const clone = this.testDeepClone();
+        const osc = this.testAntiOscillation();
+        results.deepClone = clone;
+        results.antiOscillation = osc;
+        console.log(`  Deep clone (extended): ${clone.passed ? 'PASS' : 'FAIL'}${clone.issues?.length ? ' - ' + clone.issues.join(', ') : ''}`);
+        console.log(`  Anti-oscillation: ${osc.passed ? 'PASS' : 'FAIL'} (${osc.backtracks} backtracks)\n`);
+
+        // Test 7: Oracle regression (if baseline exists)
+        if (this.baselineWinSet) {
+            console.log('Running oracle regression test...');
+            const oracleReg = this.testOracleRegression(seedStart, seedCount);
+            results.oracleRegression = oracleReg;
+            console.log(`Oracle Regression: ${oracleReg.passed ? 'PASS' : 'FAIL'}`);
+            console.log(`  Baseline wins: ${oracleReg.baselineWins}, Current wins: ${oracleReg.currentWins}`);
+            console.log(`  Regressions: ${oracleReg.regressions.length}, Improvements: ${oracleReg.improvements.length}\n`);
+        } else {
+            console.log('Skipping oracle regression test (no baseline). Run establishBaseline() first.\n');
+            results.oracleRegression = { skipped: true };
+        }
+
+        // Test 8: Hash sanity - verify hash determinism and sensitivity
+        console.log('Running hash sanity test...');
+        const hashSanity = this.testHashSanity(1000, 20);
+        results.hashSanity = hashSanity;
+        console.log(`  Hash Sanity: ${hashSanity.passed ? 'PASS' : 'FAIL'} (${hashSanity.turnsChecked} turns, ${hashSanity.issues.length} issues)\n`);
+
+        // Test 9: Action-level dominance (Invariant F) - quick test on 1 seed
+        console.log('Running action dominance test...');
+        const actDom = this.testActionDominance(1000, 20);
+        results.actionDominance = actDom;
+        console.log(`  Action Dominance: ${actDom.passed ? 'PASS' : 'FAIL'} (${actDom.turnsChecked} turns, ${actDom.dominated.length} dominated)\n`);
+
+        // Test 10-14: Scenario/mechanics tests
+        console.log('Running scenario tests...');
+        const stabBFS = this.testStabilizerBFS();
+        const roomGrace = this.testRoomGrace();
+        const chainCollapse = this.testChainCollapse();
+        const crystalStates = this.testCrystalStates();
+        const rewindBounds = this.testRewindBoundaries();
+        const safeBubbleNoDamage = this.testSafeBubbleNoShockDamage();
+        const safeBubbleAwakens = this.testSafeBubbleStillAwakens();
+        const pillarCentering = this.testPillarPush();
+        const simPillarCentering = this.testSimPillarPush();
+        const anchorStone = this.testAnchorStone();
+        const decayBomb = this.testDecayBomb();
+        const voidSpawn = this.testVoidSpawn();
+        const enemyRegistry = this.testEnemyRegistry();
+        const shadowStep = this.testShadowStep();
+        const differential = this.testDifferential(1000, quick ? 3 : 10);
+        // After the shadow step: verifyReplay() resets the run counters it starts from
+        const replayVerification = this.testReplayVerification();
+        const formatMigration = this.testFormatMigration();
+        const rewindTimeline = this.testRewindTimeline();
+        const decayMemory = this.testDecayMemory();
+        const mapGenerators = this.testMapGenerators();
+        const authoredRuns = this.testAuthoredRuns();
+        const challenges = this.testChallenges();
+        const rulesets = this.testRulesets();
+        const difficultyCurve = this.testDifficultyCurve();
+        const baselineGames = this.testBaselineGames();
+        const botRegistry = this.testBotRegistry();
+        const agentProtocol = this.testAgentProtocol();
+        const oracleHintTest = this.testOracleHint();
+        const cascadePreview = this.testCascadePreview();
+        const surroundings = this.testSurroundings();
+
+        results.stabilizerBFS = stabBFS;
+        results.roomGrace = roomGrace;
+        results.chainCollapse = chainCollapse;
+        results.crystalStates = crystalStates;
+        results.rewindBoundaries = rewindBounds;
+        results.safeBubbleNoDamage = safeBubbleNoDamage;
+        results.safeBubbleAwakens = safeBubbleAwakens;
+        results.pillarCentering = pillarCentering;
+        results.simPillarCentering = simPillarCentering;
+        results.anchorStone = anchorStone;
+        results.decayBomb = decayBomb;
+        results.voidSpawn = voidSpawn;
+        results.enemyRegistry = enemyRegistry;
+        results.replayVerification = replayVerification;
+        results.formatMigration = formatMigration;
+        results.rewindTimeline = rewindTimeline;
+        results.decayMemory = decayMemory;
+        results.mapGenerators = mapGenerators;
+        results.authoredRuns = authoredRuns;
+        results.challenges = challenges;
+        results.rulesets = rulesets;
+        results.difficultyCurve = difficultyCurve;
+        results.baselineGames = baselineGames;
+        results.botRegistry = botRegistry;
+        results.agentProtocol = agentProtocol;
+        results.oracleHint = oracleHintTest;
+        results.cascadePreview = cascadePreview;
+        results.surroundings = surroundings;
+        results.shadowStep = shadowStep;
+        results.differential = differential;
+
+        console.log(`  Stabilizer BFS: ${stabBFS.passed ? 'PASS' : 'FAIL'}${stabBFS.skipped ? ' (skipped: ' + stabBFS.skipped + ')' : ''}${stabBFS.issues?.length ? ' - ' + stabBFS.issues.join(', ') : ''}`);
+        console.log(`  Room Grace: ${roomGrace.passed ? 'PASS' : 'FAIL'}${roomGrace.skipped ? ' (skipped: ' + roomGrace.skipped + ')' : ''}${roomGrace.issues?.length ? ' - ' + roomGrace.issues.join(', ') : ''}`);
+        console.log(`  Chain Collapse: ${chainCollapse.passed ? 'PASS' : 'FAIL'}${chainCollapse.skipped ? ' (skipped: ' + chainCollapse.skipped + ')' : ''}${chainCollapse.issues?.length ? ' - ' + chainCollapse.issues.join(', ') : ''}`);
+        console.log(`  Crystal States: ${crystalStates.passed ? 'PASS' : 'FAIL'}${crystalStates.skipped ? ' (skipped: ' + crystalStates.skipped + ')' : ''}${crystalStates.issues?.length ? ' - ' + crystalStates.issues.join(', ') : ''}`);
+        console.log(`  Rewind Boundaries: ${rewindBounds.passed ? 'PASS' : 'FAIL'}${rewindBounds.issues?.length ? ' - ' + rewindBounds.issues.join(', ') : ''}`);
+        console.log(`  Safe Bubble (No Damage): ${safeBubbleNoDamage.passed ? 'PASS' : 'FAIL'}${safeBubbleNoDamage.skipped ? ' (skipped: ' + safeBubbleNoDamage.skipped + ')' : ''}${safeBubbleNoDamage.issues?.length ? ' - ' + safeBubbleNoDamage.issues.join(', ') : ''}`);
+        console.log(`  Safe Bubble (Awakens): ${safeBubbleAwakens.passed ? 'PASS' : 'FAIL'}${safeBubbleAwakens.skipped ? ' (skipped: ' + safeBubbleAwakens.skipped + ')' : ''}${safeBubbleAwakens.issues?.length ? ' - ' + safeBubbleAwakens.issues.join(', ') : ''}`);
+        console.log(`  Pillar Push: ${pillarCentering.passed ? 'PASS' : 'FAIL'}${pillarCentering.skipped ? ' (skipped: ' + pillarCentering.skipped + ')' : ''}${pillarCentering.issues?.length ? ' - ' + pillarCentering.issues.join(', ') : ''}`);
+        console.log(`  Sim Pillar Push: ${simPillarCentering.passed ? 'PASS' : 'FAIL'}${simPillarCentering.skipped ? ' (skipped: ' + simPillarCentering.skipped + ')' : ''}${simPillarCentering.issues?.length ? ' - ' + simPillarCentering.issues.join(', ') : ''}`);
+        console.log(`  Anchor Stone: ${anchorStone.passed ? 'PASS' : 'FAIL'}${anchorStone.skipped ? ' (skipped: ' + anchorStone.skipped + ')' : ''}${anchorStone.issues?.length ? ' - ' + anchorStone.issues.join(', ') : ''}`);
+        console.log(`  Decay Bomb: ${decayBomb.passed ? 'PASS' : 'FAIL'}${decayBomb.skipped ? ' (skipped: ' + decayBomb.skipped + ')' : ''}${decayBomb.issues?.length ? ' - ' + decayBomb.issues.join(', ') : ''}`);
+        console.log(`  Void Spawn: ${voidSpawn.passed ? 'PASS' : 'FAIL'}${voidSpawn.skipped ? ' (skipped: ' + voidSpawn.skipped + ')' : ''}${voidSpawn.issues?.length ? ' - ' + voidSpawn.issues.join(', ') : ''}`);
+        console.log(`  Enemy Registry: ${enemyRegistry.passed ? 'PASS' : 'FAIL'}${enemyRegistry.issues?.length ? ' - ' + enemyRegistry.issues.join(', ') : ''}`);
+        console.log(`  Replay Verification: ${replayVerification.passed ? 'PASS' : 'FAIL'}${replayVerification.issues?.length ? ' - ' + replayVerification.issues.join(', ') : ''}`);
+        console.log(`  Format Migration: ${formatMigration.passed ? 'PASS' : 'FAIL'}${formatMigration.issues?.length ? ' - ' + formatMigration.issues.join(', ') : ''}`);
+        console.log(`  Rewind Timeline: ${rewindTimeline.passed ? 'PASS' : 'FAIL'}${rewindTimeline.skipped ? ' (skipped: ' + rewindTimeline.skipped + ')' : ''}${rewindTimeline.issues?.length ? ' - ' + rewindTimeline.issues.join(', ') : ''}`);
+        console.log(`  Decay Memory: ${decayMemory.passed ? 'PASS' : 'FAIL'}${decayMemory.skipped ? ' (skipped: ' + decayMemory.skipped + ')' : ''}${decayMemory.issues?.length ? ' - ' + decayMemory.issues.join(', ') : ''}`);
+        console.log(`  Map Generators: ${mapGenerators.passed ? 'PASS' : 'FAIL'}${mapGenerators.issues?.length ? ' - ' + mapGenerators.issues.join(', ') : ''}`);
+        console.log(`  Authored Runs: ${authoredRuns.passed ? 'PASS' : 'FAIL'}${authoredRuns.issues?.length ? ' - ' + authoredRuns.issues.join(', ') : ''}`);
+        console.log(`  Challenges: ${challenges.passed ? 'PASS' : 'FAIL'}${challenges.issues?.length ? ' - ' + challenges.issues.join(', ') : ''}`);
+        console.log(`  Rulesets: ${rulesets.passed ? 'PASS' : 'FAIL'}${rulesets.issues?.length ? ' - ' + rulesets.issues.join(', ') : ''}`);
+        console.log(`  Difficulty Curve: ${difficultyCurve.passed ? 'PASS' : 'FAIL'}${difficultyCurve.issues?.length ? ' - ' + difficultyCurve.issues.join(', ') : ''}`);
+        console.log(`  Baseline Games: ${baselineGames.passed ? 'PASS' : 'FAIL'}${baselineGames.issues?.length ? ' - ' + baselineGames.issues.join(', ') : ''}`);
+        console.log(`  Bot Registry: ${botRegistry.passed ? 'PASS' : 'FAIL'}${botRegistry.issues?.length ? ' - ' + botRegistry.issues.join(', ') : ''}`);
+        console.log(`  Agent Protocol: ${agentProtocol.passed ? 'PASS' : 'FAIL'}${agentProtocol.issues?.length ? ' - ' + agentProtocol.issues.join(', ') : ''}`);
+        console.log(`  Oracle Hint: ${oracleHintTest.passed ? 'PASS' : 'FAIL'}${oracleHintTest.issues?.length ? ' - ' + oracleHintTest.issues.join(', ') : ''}`);
+        console.log(`  Cascade Preview: ${cascadePreview.passed ? 'PASS' : 'FAIL'}${cascadePreview.issues?.length ? ' - ' + cascadePreview.issues.join(', ') : ''}`);
+        console.log(`  Surroundings: ${surroundings.passed ? 'PASS' : 'FAIL'}${surroundings.skipped ? ' (skipped: ' + surroundings.skipped + ')' : ''}${surroundings.issues?.length ? ' - ' + surroundings.issues.join(', ') : ''}`);
+        console.log(`  Shadow Step: ${shadowStep.passed ? 'PASS' : 'FAIL'} (${shadowStep.stepsExecuted} steps${shadowStep.firstMismatchStep >= 0 ? ', first mismatch at step ' + shadowStep.firstMismatchStep : ''})${shadowStep.issues?.length ? ' - ' + shadowStep.issues.slice(0,3).join('; ') : ''}`);
+        const firstDiv = differential.firstDivergence;
+        console.log(`  Differential: ${differential.passed ? 'PASS' : 'FAIL'} (${differential.seeds} seeds, ${differential.turnsChecked} turns${firstDiv ? ', first divergence seed ' + firstDiv.seed + ' turn ' + firstDiv.turn + ' - ' + firstDiv.diffs.slice(0,3).join('; ') : ''})\n`);
+
+        const scenariosPassed = stabBFS.passed && roomGrace.passed && chainCollapse.passed && crystalStates.passed && rewindBounds.passed && safeBubbleNoDamage.passed && safeBubbleAwakens.passed && pillarCentering.passed && simPillarCentering.passed && anchorStone.passed && decayBomb.passed && voidSpawn.passed && enemyRegistry.passed && replayVerification.passed && formatMigration.passed && rewindTimeline.passed && decayMemory.passed && mapGenerators.passed && authoredRuns.passed && challenges.passed && rulesets.passed && difficultyCurve.passed && baselineGames.passed && botRegistry.passed && agentProtocol.passed && oracleHintTest.passed && cascadePreview.passed && surroundings.passed && shadowStep.passed && differential.passed;
+        const invariantsPassed = hashSanity.passed && actDom.passed;
+
+        // Threshold test: verify win rates meet minimums (uses dominance results)
+        const thresholdIssues = [];
+        const oracleRate = dom.oWins / seedCount * 100;
+        const greedyRate = dom.gWins / seedCount * 100;
+        const gap = oracleRate - greedyRate;
+        if (oracleRate < 50) thresholdIssues.push(`Oracle rate ${oracleRate.toFixed(1)}% < 50%`);
+        if (gap < 15) thresholdIssues.push(`Gap ${gap.toFixed(1)}% < 15%`);
+        if (dom.gExclusive > 0) thresholdIssues.push(`gExclusive=${dom.gExclusive}`);
+        const thresholdsPassed = thresholdIssues.length === 0;
+        results.thresholds = { passed: thresholdsPassed, oracleRate: oracleRate.toFixed(1), greedyRate: greedyRate.toFixed(1), gap: gap.toFixed(1), issues: thresholdIssues };
+        console.log(`Thresholds: ${thresholdsPassed ? 'PASS' : 'FAIL'} (oracle=${oracleRate.toFixed(1)}% greedy=${greedyRate.toFixed(1)}% gap=${gap.toFixed(1)}%${thresholdIssues.length ? ' - ' + thresholdIssues.join(', ') : ''})\n`);
+
+        const allPassed = dom.passed && deep.passed && det.passed && reg.passed && clone.passed && osc.passed &&
+                          (!results.oracleRegression || results.oracleRegression.skipped || results.oracleRegression.passed) &&
+                          invariantsPassed && scenariosPassed && thresholdsPassed;
+        console.log(`=== ${allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED'} ===`);
+
+        results.allPassed = allPassed;
+        return results;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OracleTestSuite };
+}
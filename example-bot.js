@@ -0,0 +1,78 @@
+// Example bot for test-runner.js --bot-file: a one-turn lookahead walker.
+//   node test-runner.js --compare 50 lookahead greedy --bot-file example-bot.js --headless
+// A bot file is a plain script run in the engine's global scope (like a <script> tag), so it
+// can use registerBot, TILE and the other engine globals. See BOT REGISTRY in decay-engine.js.
+
+registerBot('lookahead', (() => {
+    let visits = new Map();  // Tiles stood on this level, to break back-and-forth loops
+    let level = 0;
+
+    // Steps from the player to the stairs over tiles that will last a couple more turns
+    function stepsToStairs(sim) {
+        const h = sim.map.length, w = sim.map[0].length;
+        const seen = new Set([`${sim.player.x},${sim.player.y}`]);
+        let frontier = [sim.player];
+        for (let steps = 0; frontier.length; steps++) {
+            const next = [];
+            for (const { x, y } of frontier) {
+                if (x === sim.stairsX && y === sim.stairsY) return steps;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = x + dx, ny = y + dy, key = `${nx},${ny}`;
+                        if (nx < 0 || ny < 0 || nx >= w || ny >= h || seen.has(key)) continue;
+                        const tile = sim.map[ny][nx];
+                        if (tile === TILE.WALL || tile === TILE.VOID) continue;
+                        if (sim.awakened[ny][nx] && sim.decay[ny][nx] > 0 && sim.decay[ny][nx] <= 2) continue;
+                        seen.add(key);
+                        next.push({ x: nx, y: ny });
+                    }
+                }
+            }
+            frontier = next;
+        }
+        return Infinity;
+    }
+
+    // Lower is better: path length to the stairs after the move, how close the landing tile
+    // is to collapsing, and a penalty for going back over our own steps
+    function score(sim) {
+        const { x, y } = sim.player;
+        const decay = sim.awakened[y][x] ? sim.decay[y][x] : 99;
+        const danger = decay > 0 && decay <= 2 ? 20 : 0;
+        return Math.min(stepsToStairs(sim), 500) + danger + 3 * (visits.get(`${x},${y}`) || 0);
+    }
+
+    return {
+        init() {
+            visits = new Map();
+            level = 0;
+        },
+
+        chooseMove(view, tools) {
+            const { x, y } = view.player;
+            if (view.level !== level) {
+                level = view.level;
+                visits = new Map();
+            }
+            visits.set(`${x},${y}`, (visits.get(`${x},${y}`) || 0) + 1);
+            if (view.map[y][x] === TILE.STAIRS_DOWN) return { action: 'descend' };
+
+            // Standing on a tile about to go: stabilize if we can
+            const underfoot = view.awakenedMap[y][x] ? view.decayMap[y][x] : 0;
+            if (underfoot > 0 && underfoot <= 2 && view.stabilizerCharges > 0 && view.stabilizerCooldown === 0) {
+                return { action: 'stabilize' };
+            }
+
+            // Try every legal step on a copy of the game and keep the best one we survive
+            let best = null;
+            for (const m of view.validMoves) {
+                const move = { action: 'move', dx: m.dx, dy: m.dy };
+                const sim = tools.cloneState();
+                if (!tools.simStep(sim, move)) continue;
+                const s = score(sim);
+                if (!best || s < best.score) best = { move, score: s };
+            }
+            return best ? best.move : { action: 'wait' };
+        }
+    };
+})());
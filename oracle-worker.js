@@ -0,0 +1,36 @@
+// Web Worker that runs oracle planning and bot games off the page's main thread.
+// roguelike.html talks to it through the ORACLE WORKER client: each request is
+// { id, type, payload } and each answer is { id, result } or { id, error }.
+// Cancelling a request terminates the worker, so nothing here has to check for it.
+// Only the engine's built-in bots exist here; bots registered in the page do not.
+
+importScripts('decay-engine.js');
+
+const ORACLE_WORKER_REQUESTS = {
+    // payload: oraclePosition() from the page
+    hint(position) {
+        loadOraclePosition(position);
+        return oracleHint();
+    },
+
+    // payload: { botType, maxMoves, targetLevel, seed, rules }
+    runBotGame({ botType, maxMoves, targetLevel, seed, rules }) {
+        return runBotGame(botType, maxMoves, targetLevel, seed, false, rules);
+    },
+
+    // payload: { botType, seed, targetLevel, rules }
+    recordBotReplay({ botType, seed, targetLevel, rules }) {
+        return withRuleOverrides(rules || {}, () => recordBotReplay(botType, seed, targetLevel));
+    }
+};
+
+self.onmessage = (e) => {
+    const { id, type, payload } = e.data;
+    try {
+        const handler = ORACLE_WORKER_REQUESTS[type];
+        if (!handler) throw new Error(`Unknown oracle worker request: ${type}`);
+        self.postMessage({ id, result: handler(payload) });
+    } catch (err) {
+        self.postMessage({ id, error: err && err.message ? err.message : String(err) });
+    }
+};
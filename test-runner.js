@@ -1,21 +1,39 @@
 #!/usr/bin/env node
-// Headless test runner for Decay Roguelike using Puppeteer
+// Headless test runner for Decay Roguelike using Puppeteer (or plain Node with --headless)
 // Usage:
 //   node test-runner.js --suite all        Run full test suite (200 seeds)
 //   node test-runner.js --suite quick      Run quick test suite (20 seeds)
 //   node test-runner.js --suite extended   Run extended test suite (500 seeds)
-//   node test-runner.js --compare N        Compare oracle vs greedy on N seeds
-//   node test-runner.js --perf N           Performance benchmark on N seeds
-//   node test-runner.js --bot TYPE SEED    Run single bot game (oracle/greedy/tactical)
-//   node test-runner.js --seeds S N T      Run oracle on N seeds from S, target level T
+//   node test-runner.js --suite checkers   Run the checkers engine's test suite (in Node)
+//   node test-runner.js --compare N [A] [B] Compare bot A vs bot B (default oracle vs greedy) on N seeds
+//   node test-runner.js --perf N [BOT]     Performance benchmark on N seeds
+//   node test-runner.js --bot TYPE SEED    Run single bot game (any registered bot)
+//   node test-runner.js --seeds S N T [BOT] Run oracle (or BOT) on N seeds from S, target level T
+//   node test-runner.js --record BOT SEED [T] [FILE]  Record a bot game as a replay JSON file
+//   node test-runner.js --diff S N [T] [B] Differential live-vs-sim check on N seeds from S (bot B)
 //   node test-runner.js --replays [N]      Generate N showcase replays and write into roguelike.html
+//   node test-runner.js --verify-replays [FILE...]  Re-run replays and check their state hashes
+//   --calibrate [N] [S] [A-B] [OUT]        Tune each level's decay on N seeds from S until the bots'
+//                                          clear rates meet CALIBRATION_TARGETS, propose a ruleset
+//   --baseline [N] [S] [T] [FILE]          Record bot metrics on N seeds from S (target T) as a baseline
+//   --check-baseline [FILE]                Re-run a baseline's games, exit 1 if a metric drifted too far
+//   --agent [SEED] [T]                     Play a run through the agent protocol over stdin/stdout
+//   --checkers N [A] [B] [VARIANT]         Pit checkers AI difficulty A against B over N games
+//   --checkers-record A B [VARIANT] [S] [FILE]  Record one checkers game as a PDN/JSON game record
+//   --verify-checkers [FILE...]            Replay checkers records (default: the suite's fixtures)
 //   --parallel N                           Use N parallel browser workers (default: 1, max useful: ~8)
+//   --headless                             Run decay-engine.js in Node worker threads instead of Chrome
+//   --ruleset FILE                         Play every game under the rule overrides in a JSON ruleset file
+//   --bot-file FILE                        Load a script that calls registerBot() (repeatable)
+//   --junit FILE / --json FILE             Also write --suite / --check-baseline results as JUnit XML / JSON
 
-const puppeteer = require('puppeteer');
 const path = require('path');
 const fs = require('fs');
+const vm = require('vm');
+const { Worker, isMainThread, parentPort } = require('worker_threads');
 
 const GAME_FILE = path.resolve(__dirname, 'roguelike.html');
+const ENGINE_FILES = ['decay-engine.js', 'decay-test-suite.js'].map(f => path.resolve(__dirname, f));
 const TIMEOUT_MS = 120000; // 2 minutes max for test suite
 const DEFAULT_PARALLEL = 1;
 
@@ -34,7 +52,105 @@ function parseParallelFlag(rawArgs) {
     return { parallelCount, cleanArgs };
 }
 
+// Parse --headless from anywhere in args, return { headless, cleanArgs }
+function parseHeadlessFlag(rawArgs) {
+    const cleanArgs = rawArgs.filter(a => a !== '--headless');
+    return { headless: cleanArgs.length !== rawArgs.length, cleanArgs };
+}
+
+let useHeadlessEngine = false;
+
+// Parse --ruleset FILE from anywhere in args, return { ruleset, rulesetFile, cleanArgs }.
+// The file holds a ruleset as described in decay-engine.js (RULESETS); it's checked once a page is up.
+function parseRulesetFlag(rawArgs) {
+    const cleanArgs = [];
+    let ruleset = null;
+    let rulesetFile = null;
+    for (let i = 0; i < rawArgs.length; i++) {
+        if (rawArgs[i] === '--ruleset') {
+            rulesetFile = rawArgs[i + 1];
+            if (!rulesetFile) throw new Error('--ruleset needs a JSON file');
+            ruleset = JSON.parse(fs.readFileSync(path.resolve(rulesetFile), 'utf8'));
+            i++; // skip the file name
+        } else {
+            cleanArgs.push(rawArgs[i]);
+        }
+    }
+    return { ruleset, rulesetFile, cleanArgs };
+}
+
+let activeRuleset = null;
+
+// Parse --bot-file FILE (repeatable) from anywhere in args, return { botFiles, cleanArgs }
+function parseBotFileFlag(rawArgs) {
+    const cleanArgs = [];
+    const botFiles = [];
+    for (let i = 0; i < rawArgs.length; i++) {
+        if (rawArgs[i] === '--bot-file') {
+            const file = rawArgs[i + 1];
+            if (!file) throw new Error('--bot-file needs a JS file');
+            botFiles.push({ file, source: fs.readFileSync(path.resolve(file), 'utf8') });
+            i++; // skip the file name
+        } else {
+            cleanArgs.push(rawArgs[i]);
+        }
+    }
+    return { botFiles, cleanArgs };
+}
+
+let activeBotFiles = [];
+
+// Parse --junit FILE and --json FILE from anywhere in args, return { junitFile, jsonFile, cleanArgs }
+function parseReportFlags(rawArgs) {
+    const cleanArgs = [];
+    let junitFile = null;
+    let jsonFile = null;
+    for (let i = 0; i < rawArgs.length; i++) {
+        if (rawArgs[i] === '--junit' || rawArgs[i] === '--json') {
+            if (!rawArgs[i + 1]) throw new Error(`${rawArgs[i]} needs a file name`);
+            if (rawArgs[i] === '--junit') junitFile = rawArgs[i + 1];
+            else jsonFile = rawArgs[i + 1];
+            i++; // skip the file name
+        } else {
+            cleanArgs.push(rawArgs[i]);
+        }
+    }
+    return { junitFile, jsonFile, cleanArgs };
+}
+
+// Put the --ruleset overrides in force on a freshly launched page
+async function applyRuleset(page) {
+    if (!activeRuleset) return;
+    const errors = await page.evaluate((rules) => {
+        const problems = validateRuleset(rules);
+        if (!problems.length) setRuleOverrides(rules);
+        return problems;
+    }, activeRuleset);
+    if (errors.length) throw new Error(`Invalid ruleset: ${errors.join(', ')}`);
+}
+
+// Run the --bot-file scripts on a freshly launched page; each must register at least one bot
+async function loadBotFiles(page) {
+    for (const { file, source } of activeBotFiles) {
+        const registered = await page.evaluate((src) => {
+            const before = { ...BOT_TYPES };
+            (0, eval)(src);  // Global scope, like a <script> tag
+            return Object.keys(BOT_TYPES).filter(name => BOT_TYPES[name] !== before[name]);
+        }, source);
+        if (!registered.length) throw new Error(`${file} did not call registerBot()`);
+    }
+}
+
 async function launchPage(opts = {}) {
+    const launched = useHeadlessEngine ? await launchHeadlessPage() : await launchBrowserPage(opts);
+    await applyRuleset(launched.page);
+    await loadBotFiles(launched.page);
+    return launched;
+}
+
+async function launchBrowserPage(opts) {
+    // Only the browser path needs puppeteer, so --headless works without it installed
+    const puppeteer = require('puppeteer');
     const browser = await puppeteer.launch({
         headless: 'new',
         args: ['--no-sandbox', '--disable-setuid-sandbox'],
@@ -54,9 +170,65 @@ async function launchPage(opts = {}) {
     return { browser, page, errors };
 }
 
+// Headless equivalent of launchBrowserPage: a worker thread with the engine loaded into a vm context.
+// Exposes the same { browser, page, errors } shape, so every command works unchanged;
+// page.evaluate(fn, ...args) ships fn's source to the worker and runs it against the engine globals.
+async function launchHeadlessPage() {
+    const worker = new Worker(__filename);
+    const pending = new Map();
+    let nextId = 0;
+    const errors = [];
+
+    worker.on('message', msg => {
+        const p = pending.get(msg.id);
+        if (!p) return;
+        pending.delete(msg.id);
+        if (msg.error) p.reject(new Error(msg.error));
+        else p.resolve(msg.result);
+    });
+    worker.on('error', err => {
+        errors.push(err.message);
+        for (const p of pending.values()) p.reject(err);
+        pending.clear();
+    });
+
+    const page = {
+        evaluate(fn, ...args) {
+            const id = nextId++;
+            return new Promise((resolve, reject) => {
+                pending.set(id, { resolve, reject });
+                worker.postMessage({ id, source: fn.toString(), args });
+            });
+        }
+    };
+    const browser = { close: () => worker.terminate() };
+    return { browser, page, errors };
+}
+
+// Worker-thread side of launchHeadlessPage
+function runHeadlessWorker() {
+    // Page console output is invisible under puppeteer too; keep only errors
+    const quietConsole = { log() {}, info() {}, warn() {}, debug() {}, error: (...a) => console.error(...a) };
+    const context = vm.createContext({ console: quietConsole, performance });
+    context.window = context;
+    for (const file of ENGINE_FILES) {
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    }
+
+    parentPort.on('message', async ({ id, source, args }) => {
+        try {
+            const fn = vm.runInContext(`(${source})`, context);
+            const result = await fn(...args);
+            parentPort.postMessage({ id, result });
+        } catch (err) {
+            parentPort.postMessage({ id, error: err && err.stack ? err.stack : String(err) });
+        }
+    });
+}
+
 // Launch N browser instances, each with its own page ready to go
 async function launchWorkerPool(n, opts = {}) {
-    console.log(`Launching ${n} parallel browser workers...`);
+    console.log(`Launching ${n} parallel ${useHeadlessEngine ? 'headless' : 'browser'} workers...`);
     const workers = await Promise.all(
         Array.from({ length: n }, () => launchPage(opts))
     );
@@ -96,6 +268,10 @@ function splitRange(start, count, n) {
 }
 
 async function runSuite(mode = 'all') {
+    if (mode === 'checkers') {
+        // Node only, whatever --headless says: the checkers pages aren't roguelike.html
+        return { results: loadCheckers()('CheckersTestSuite').runAll(), errors: [] };
+    }
     const { browser, page, errors } = await launchPage();
     try {
         const results = await page.evaluate(async (suiteMode) => {
@@ -116,12 +292,12 @@ async function runSuite(mode = 'all') {
     }
 }
 
-async function runCompare(numGames, targetLevel = 5, seedOfSeeds = 3000) {
+async function runCompare(numGames, targetLevel = 5, seedOfSeeds = 3000, challenger = 'oracle', reference = 'greedy') {
     const { browser, page } = await launchPage();
     try {
-        const results = await page.evaluate(async (n, t, s) => {
-            return await runOracleTests(n, t, s);
-        }, numGames, targetLevel, seedOfSeeds);
+        const results = await page.evaluate(async (n, t, s, a, b) => {
+            return runBotMatchup(a, b, n, t, s);
+        }, numGames, targetLevel, seedOfSeeds, challenger, reference);
 
         return results;
     } finally {
@@ -129,12 +305,44 @@ async function runCompare(numGames, targetLevel = 5, seedOfSeeds = 3000) {
     }
 }
 
-async function runPerf(numSeeds, targetLevel = 5, parallelCount = 1) {
+// Greedy and tactical bots with and without the decayMemory rule (fog of war) on the same
+// seeds: the gap is what seeing every decay timer on the map is worth
+async function runFogCompare(numSeeds, targetLevel = 5, seedStart = 1000) {
+    const { browser, page } = await launchPage({ protocolTimeout: 600000 });
+    try {
+        return await page.evaluate((n, t, start) => {
+            const rows = [];
+            const baseRules = ruleOverrides;  // --ruleset, if any
+            try {
+                for (const bot of ['greedy', 'tactical']) {
+                    for (const memory of [false, true]) {
+                        setRuleOverrides({ ...baseRules, decayMemory: memory });
+                        let wins = 0, levels = 0, moves = 0;
+                        for (let i = 0; i < n; i++) {
+                            const result = runBotGame(bot, 3000, t, start + i);
+                            if (result.won) wins++;
+                            levels += result.level;
+                            moves += result.moves || 0;
+                        }
+                        rows.push({ bot, memory, wins, avgLevel: +(levels / n).toFixed(2), avgMoves: Math.round(moves / n) });
+                    }
+                }
+            } finally {
+                setRuleOverrides(baseRules);
+            }
+            return { seeds: n, targetLevel: t, rows };
+        }, numSeeds, targetLevel, seedStart);
+    } finally {
+        await browser.close();
+    }
+}
+
+async function runPerf(numSeeds, targetLevel = 5, parallelCount = 1, botType = 'oracle') {
     if (parallelCount <= 1) {
         // Original serial path
         const { browser, page } = await launchPage();
         try {
-            const results = await page.evaluate(async (n, t) => {
+            const results = await page.evaluate(async (n, t, bot) => {
                 const seeds = [];
                 for (let i = 0; i < n; i++) seeds.push(1000 + i);
 
@@ -143,7 +351,7 @@ async function runPerf(numSeeds, targetLevel = 5, parallelCount = 1) {
                 let wins = 0;
 
                 for (const seed of seeds) {
-                    const result = await runBotGame('oracle', 3000, t, seed);
+                    const result = await runBotGame(bot, 3000, t, seed);
                     totalMoves += result.moves || 0;
                     if (result.won) wins++;
                 }
@@ -157,7 +365,7 @@ async function runPerf(numSeeds, targetLevel = 5, parallelCount = 1) {
                     winRate: (wins / n * 100).toFixed(1) + '%',
                     avgMoves: Math.round(totalMoves / n)
                 };
-            }, numSeeds, targetLevel);
+            }, numSeeds, targetLevel, botType);
 
             return results;
         } finally {
@@ -172,21 +380,21 @@ async function runPerf(numSeeds, targetLevel = 5, parallelCount = 1) {
         const ranges = splitRange(1000, numSeeds, parallelCount);
         const promises = ranges.map((range, i) => {
             const { page } = workers[i];
-            return page.evaluate(async (seedStart, count, t) => {
+            return page.evaluate(async (seedStart, count, t, bot) => {
                 let totalMoves = 0;
                 let wins = 0;
                 const start = performance.now();
 
                 for (let i = 0; i < count; i++) {
                     const seed = seedStart + i;
-                    const result = await runBotGame('oracle', 3000, t, seed);
+                    const result = await runBotGame(bot, 3000, t, seed);
                     totalMoves += result.moves || 0;
                     if (result.won) wins++;
                 }
 
                 const elapsed = performance.now() - start;
                 return { count, totalMs: Math.round(elapsed), totalMoves, wins };
-            }, range.start, range.count, targetLevel);
+            }, range.start, range.count, targetLevel, botType);
         });
 
         const partials = await Promise.all(promises);
@@ -228,16 +436,25 @@ async function runSingleBot(botType, seed, targetLevel = 5) {
     }
 }
 
-async function runSeeds(seedStart, numSeeds, targetLevel, parallelCount = 1) {
+async function recordReplay(botType, seed, targetLevel) {
+    const { browser, page } = await launchPage({ protocolTimeout: 600000 });
+    try {
+        return await page.evaluate((type, s, t) => recordBotReplay(type, s, t), botType, seed, targetLevel);
+    } finally {
+        await browser.close();
+    }
+}
+
+async function runSeeds(seedStart, numSeeds, targetLevel, parallelCount = 1, botType = 'oracle') {
     if (parallelCount <= 1) {
         // Original serial path
         const { browser, page } = await launchPage();
         try {
-            const results = await page.evaluate(async (start, count, target) => {
+            const results = await page.evaluate(async (start, count, target, bot) => {
                 const out = [];
                 for (let i = 0; i < count; i++) {
                     const seed = start + i;
-                    const result = await runBotGame('oracle', 3000, target, seed);
+                    const result = await runBotGame(bot, 3000, target, seed);
                     out.push({ seed, ...result });
                 }
                 const wins = out.filter(r => r.won).length;
@@ -249,7 +466,7 @@ async function runSeeds(seedStart, numSeeds, targetLevel, parallelCount = 1) {
                         winRate: (wins / count * 100).toFixed(1) + '%'
                     }
                 };
-            }, seedStart, numSeeds, targetLevel);
+            }, seedStart, numSeeds, targetLevel, botType);
 
             return results;
         } finally {
@@ -263,15 +480,15 @@ async function runSeeds(seedStart, numSeeds, targetLevel, parallelCount = 1) {
         const ranges = splitRange(seedStart, numSeeds, parallelCount);
         const promises = ranges.map((range, i) => {
             const { page } = workers[i];
-            return page.evaluate(async (start, count, target) => {
+            return page.evaluate(async (start, count, target, bot) => {
                 const out = [];
                 for (let i = 0; i < count; i++) {
                     const seed = start + i;
-                    const result = await runBotGame('oracle', 3000, target, seed);
+                    const result = await runBotGame(bot, 3000, target, seed);
                     out.push({ seed, ...result });
                 }
                 return out;
-            }, range.start, range.count, targetLevel);
+            }, range.start, range.count, targetLevel, botType);
         });
 
         const partials = await Promise.all(promises);
@@ -293,6 +510,514 @@ async function runSeeds(seedStart, numSeeds, targetLevel, parallelCount = 1) {
     }
 }
 
+async function runDiff(seedStart, numSeeds, targetLevel, driverType, parallelCount = 1) {
+    const runRange = (page, start, count) => page.evaluate(async (st, n, t, d) => {
+        return OracleTestSuite.testDifferential(st, n, t, d);
+    }, start, count, targetLevel, driverType);
+
+    if (parallelCount <= 1) {
+        const { browser, page } = await launchPage();
+        try {
+            return await runRange(page, seedStart, numSeeds);
+        } finally {
+            await browser.close();
+        }
+    }
+
+    // Parallel path
+    const workers = await launchWorkerPool(parallelCount);
+    try {
+        const ranges = splitRange(seedStart, numSeeds, parallelCount);
+        const partials = await Promise.all(ranges.map((range, i) => runRange(workers[i].page, range.start, range.count)));
+
+        // Partials come back in range order, so divergences are already sorted by seed
+        const divergences = partials.flatMap(p => p.divergences);
+        return {
+            passed: divergences.length === 0,
+            seeds: numSeeds,
+            turnsChecked: partials.reduce((sum, p) => sum + p.turnsChecked, 0),
+            resyncs: partials.reduce((sum, p) => sum + p.resyncs, 0),
+            divergences,
+            firstDivergence: divergences[0] || null
+        };
+    } finally {
+        await closeWorkerPool(workers);
+    }
+}
+
+// Difficulty curve the calibration aims for, per level: the oracle's clear rate and how far
+// greedy should trail it (levels past the table use its last row), and how close counts as met
+const CALIBRATION_TARGETS = {
+    levels: {
+        2: { oracle: 100, gap: 0 },
+        3: { oracle: 95, gap: 5 },
+        4: { oracle: 90, gap: 15 },
+        5: { oracle: 85, gap: 15 }
+    },
+    tolerance: 5
+};
+// The knob: one offset added to a level's roomDecayBase and corridorDecayBase (+ = looser)
+const CALIBRATION_OFFSETS = { min: -4, max: 6, maxTries: 6 };
+
+function calibrationTarget(level) {
+    const known = Object.keys(CALIBRATION_TARGETS.levels).map(Number).sort((a, b) => a - b);
+    const row = known.filter(l => l <= level).pop() ?? known[0];
+    return CALIBRATION_TARGETS.levels[row];
+}
+
+// How far a level's rates are from its target (0 = within tolerance on both counts)
+function calibrationMiss(rates, target) {
+    if (rates.oracle === null) return Infinity;
+    const oracleMiss = Math.max(0, Math.abs(rates.oracle - target.oracle) - CALIBRATION_TARGETS.tolerance);
+    const gapMiss = Math.max(0, target.gap - (rates.oracle - (rates.greedy ?? 0)));
+    return +(oracleMiss + gapMiss).toFixed(1);
+}
+
+// The difficulty curve under a ruleset, seeds split across the workers and the counts summed
+async function measureCurve(workers, rules, seedStart, numSeeds, targetLevel) {
+    const ranges = splitRange(seedStart, numSeeds, workers.length);
+    const partials = await Promise.all(ranges.map((range, i) => workers[i].page.evaluate((r, start, count, target) => {
+        return withRuleOverrides(r, () => runDifficultyCurve(count, start, target));
+    }, rules, range.start, range.count, targetLevel)));
+    const reached = {};
+    for (const p of partials) {
+        for (const [bot, counts] of Object.entries(p.reached)) {
+            reached[bot] = counts.map((n, level) => n + (reached[bot]?.[level] || 0));
+        }
+    }
+    return reached;
+}
+
+// Tune levels fromLevel..toLevel one at a time, shallowest first: each level's decay offset is
+// walked towards its target (looser while the oracle clears too few, tighter while it clears
+// too many or greedy keeps up) until the target is met, stops improving or runs out of tries.
+// Deeper levels are measured on the already tuned shallower ones, since runs carry charges down.
+async function runCalibrate(numSeeds, seedStart, fromLevel, toLevel, parallelCount = 1) {
+    const opts = { protocolTimeout: 3600000 };
+    const workers = parallelCount > 1 ? await launchWorkerPool(parallelCount, opts) : [await launchPage(opts)];
+    let rules = await workers[0].page.evaluate(() => ruleOverrides);  // --ruleset, if any
+    const levels = [];
+    try {
+        for (let level = fromLevel; level <= toLevel; level++) {
+            const target = calibrationTarget(level);
+            const defaults = await workers[0].page.evaluate((r, l) => withRuleOverrides(r, () => {
+                const cfg = getLevelConfig(l);
+                return { roomDecayBase: cfg.roomDecayBase, corridorDecayBase: cfg.corridorDecayBase };
+            }), rules, level);
+            const withOffset = (offset) => {
+                if (offset === 0) return rules;
+                const levelRules = {
+                    ...rules.levels?.[level],
+                    roomDecayBase: defaults.roomDecayBase + offset,
+                    corridorDecayBase: Math.max(1, defaults.corridorDecayBase + offset)
+                };
+                return { ...rules, levels: { ...rules.levels, [level]: levelRules } };
+            };
+
+            const tries = [];
+            const evaluate = async (offset) => {
+                const reached = await measureCurve(workers, withOffset(offset), seedStart, numSeeds, level + 1);
+                const rates = {};
+                for (const bot of Object.keys(reached)) rates[bot] = curveRate(reached[bot], level);
+                const tried = { offset, rates, runs: reached.oracle[level], miss: calibrationMiss(rates, target) };
+                tries.push(tried);
+                console.log(`  L${level} offset ${offset >= 0 ? '+' : ''}${offset}: oracle ${fmtRate(rates.oracle)}, ` +
+                    `greedy ${fmtRate(rates.greedy)}, heuristic ${fmtRate(rates.heuristic)} (${tried.runs} runs) — miss ${tried.miss}`);
+                return tried;
+            };
+
+            console.log(`Level ${level}: target oracle ${target.oracle}% ±${CALIBRATION_TARGETS.tolerance}, gap ≥ ${target.gap}`);
+            let best = await evaluate(0);
+            let current = best;
+            while (current.miss > 0 && tries.length < CALIBRATION_OFFSETS.maxTries) {
+                const { oracle, greedy } = current.rates;
+                const step = oracle < target.oracle - CALIBRATION_TARGETS.tolerance ? 1 :
+                    (oracle > target.oracle + CALIBRATION_TARGETS.tolerance || oracle - greedy < target.gap) ? -1 : 0;
+                const offset = current.offset + step;
+                if (step === 0 || offset < CALIBRATION_OFFSETS.min || offset > CALIBRATION_OFFSETS.max ||
+                    tries.some(t => t.offset === offset)) break;
+                current = await evaluate(offset);
+                // Level ground keeps walking (small samples plateau); worse means the two
+                // targets pull against each other here, so the best try so far stands
+                if (current.miss < best.miss) best = current;
+                else if (current.miss > best.miss) break;
+            }
+
+            rules = withOffset(best.offset);
+            levels.push({ level, target, ...best, roomDecayBase: defaults.roomDecayBase + best.offset,
+                          corridorDecayBase: Math.max(1, defaults.corridorDecayBase + best.offset) });
+        }
+
+        // The whole curve again on the proposed rules, deepest level included
+        const reached = await measureCurve(workers, rules, seedStart, numSeeds, toLevel + 1);
+        return { seeds: numSeeds, seedStart, ruleset: rules, levels, reached };
+    } finally {
+        await closeWorkerPool(workers);
+    }
+}
+
+function curveRate(counts, level) {
+    return counts[level] ? +(counts[level + 1] / counts[level] * 100).toFixed(1) : null;
+}
+
+function fmtRate(rate) {
+    return rate === null || rate === undefined ? '—' : `${rate}%`;
+}
+
+function formatCalibrateResults(results) {
+    const lines = [];
+    lines.push('\n=== CALIBRATION ===');
+    lines.push(`Seeds: ${results.seedStart}-${results.seedStart + results.seeds - 1}`);
+    lines.push('\nLevel  decay room/corr  offset  oracle   greedy   heuristic  target          met');
+    for (const l of results.levels) {
+        const final = {};
+        for (const bot of Object.keys(results.reached)) final[bot] = curveRate(results.reached[bot], l.level);
+        const met = calibrationMiss(final, l.target) === 0;
+        lines.push(`L${String(l.level).padEnd(5)} ${`${l.roomDecayBase}/${l.corridorDecayBase}`.padEnd(16)} ` +
+            `${(l.offset >= 0 ? '+' : '') + l.offset}`.padEnd(8) +
+            `${fmtRate(final.oracle).padEnd(9)}${fmtRate(final.greedy).padEnd(9)}${fmtRate(final.heuristic).padEnd(11)}` +
+            `${`${l.target.oracle}%, gap ${l.target.gap}`.padEnd(16)}${met ? '\u2705' : '\u274C'}`);
+    }
+    lines.push('\nReached each level (runs):');
+    for (const [bot, counts] of Object.entries(results.reached)) {
+        lines.push(`  ${bot.padEnd(10)}${counts.slice(1).map((n, i) => `L${i + 1}:${n}`).join('  ')}`);
+    }
+    lines.push('\nProposed ruleset (use with --ruleset, or load it in the game):');
+    lines.push(JSON.stringify(results.ruleset, null, 2));
+    return lines.join('\n');
+}
+
+// ============ AGENT BRIDGE ============
+// --agent: one run played through the agent protocol (AGENT PROTOCOL in decay-engine.js) over
+// stdin/stdout, one JSON object per line. Each line in is an action or a command:
+//   {"cmd": "observe"}                            the current observation again
+//   {"cmd": "new", "seed": 7, "targetLevel": 5}   start another run
+//   {"cmd": "quit"}
+// Each line out answers one line in; the first is the opening observation.
+async function runAgentBridge(seed, targetLevel, input = process.stdin, output = process.stdout) {
+    const { browser, page } = await launchPage({ protocolTimeout: 600000 });
+    const send = (msg) => output.write(JSON.stringify(msg) + '\n');
+    const startRun = (s, t) => page.evaluate((runSeed, target) => agentStartRun({ seed: runSeed, targetLevel: target }), s, t);
+    try {
+        send(await startRun(seed, targetLevel));
+        const lines = require('readline').createInterface({ input, terminal: false });
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+            let msg = null;
+            try {
+                msg = JSON.parse(line);
+            } catch (e) {
+                // Not JSON: agentAct answers with the bad-json error
+            }
+            if (msg?.cmd === 'quit') break;
+            if (msg?.cmd === 'observe') send(await page.evaluate(() => agentObservation()));
+            else if (msg?.cmd === 'new') send(await startRun(msg.seed ?? null, msg.targetLevel ?? targetLevel));
+            else if (msg?.cmd !== undefined) send({ ok: false, error: { code: 'unknown-command', message: 'cmd must be observe, new or quit' } });
+            else send(await page.evaluate((action) => agentAct(action), msg ?? line));
+        }
+    } finally {
+        await browser.close();
+    }
+}
+
+// ============ CHECKERS ============
+// checkers-engine.js is DOM-free, so checkers runs right here in Node: no page, Chrome or workers.
+const CHECKERS_FILES = ['checkers-engine.js', 'checkers-test-suite.js'].map(f => path.resolve(__dirname, f));
+
+// The checkers engine and its test suite in a fresh vm context, the way the pages load them.
+// Returns a lookup for the engine's globals (consts aren't properties of the context).
+function loadCheckers() {
+    const context = vm.createContext({ console });
+    for (const file of CHECKERS_FILES) {
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    }
+    return (name) => vm.runInContext(name, context);
+}
+
+function checkCheckersSettings(checkers, levels, variant) {
+    const difficulties = checkers('CHECKERS_DIFFICULTY');
+    for (const level of levels) {
+        if (!difficulties[level]) {
+            throw new Error(`unknown checkers difficulty '${level}' (${Object.keys(difficulties).join(', ')})`);
+        }
+    }
+    checkers('getCheckersVariant')(variant);  // Throws on an unknown name
+}
+
+// Difficulty A plays B on n games from seedStart (the seed only breaks ties between equal
+// moves), swapping colours every game
+function runCheckersMatchup(n, a, b, variant = 'classic', seedStart = 1) {
+    const checkers = loadCheckers();
+    checkCheckersSettings(checkers, [a, b], variant);
+    const started = Date.now();
+    const result = checkers('runCheckersMatch')(a, b, n, { variant, seedStart });
+    return { ...result, variant, ms: Date.now() - started };
+}
+
+function formatCheckersResults(results) {
+    const { a, b, games } = results;
+    const pct = (x) => (x / games * 100).toFixed(1);
+    const lines = [];
+    lines.push(`\n=== CHECKERS (${results.variant}): ${a.toUpperCase()} vs ${b.toUpperCase()} ===\n`);
+    lines.push(`Games: ${games} (colours alternate), avg ${Math.round(results.plies / games)} plies, ${Math.round(results.ms / games)}ms/game`);
+    lines.push(`${a} wins: ${results.aWins} (${pct(results.aWins)}%)`);
+    lines.push(`${b} wins: ${results.bWins} (${pct(results.bWins)}%)`);
+    lines.push(`Draws: ${results.draws} (${pct(results.draws)}%)`);
+    return lines.join('\n');
+}
+
+// One game, human side playing difficulty `human`, as a game record: PDN text, or JSON when
+// asked. Good for new fixtures in CheckersTestSuite.fixtures or files for --verify-checkers.
+function recordCheckersGame(human, claude, variant = 'classic', seed = 1, format = 'pdn') {
+    const checkers = loadCheckers();
+    checkCheckersSettings(checkers, [human, claude], variant);
+    const game = checkers('playCheckersGame')(human, claude, { variant, seed });
+    const text = format === 'json' ? checkers('checkersRecordJSON')(game.record) : checkers('checkersRecordText')(game.record);
+    return { ...game, text };
+}
+
+// Replays checkers records (PDN or JSON files; default CheckersTestSuite.fixtures) through
+// verifyCheckersRecord: legal moves, a matching result and, for AI games, the same moves again
+function runVerifyCheckers(files) {
+    const checkers = loadCheckers();
+    const sources = files.length
+        ? files.map(file => ({ name: file, text: fs.readFileSync(file, 'utf8') }))
+        : checkers('CheckersTestSuite').fixtures.map((text, i) => ({ name: `fixture ${i + 1}`, text }));
+    const reports = sources.map(({ name, text }) => {
+        try {
+            const record = checkers('parseCheckersRecord')(text);
+            const { passed, issues } = checkers('verifyCheckersRecord')(record);
+            return { name, passed, issues, variant: record.variant, plies: record.moves.length, result: record.result, ai: !!record.players };
+        } catch (err) {
+            return { name, passed: false, issues: [err.message] };
+        }
+    });
+    return { passed: reports.every(r => r.passed), reports };
+}
+
+function formatVerifyCheckersResults(results) {
+    const lines = [];
+    lines.push('\n=== CHECKERS RECORD VERIFICATION ===');
+    for (const r of results.reports) {
+        if (r.passed) {
+            lines.push(`\u2705 ${r.name}: ${r.variant}, ${r.plies} plies, ${r.result}${r.ai ? ', AI moves match' : ''}`);
+        } else {
+            lines.push(`\u274C ${r.name}: ${r.issues.join('; ')}`);
+        }
+    }
+    const good = results.reports.filter(r => r.passed).length;
+    lines.push(`\n--- ${good}/${results.reports.length} records verified ---`);
+    return lines.join('\n');
+}
+
+// ============ BASELINES ============
+// A baseline file pins the bots' results on fixed seeds: how often each bot clears each level,
+// average moves, and per-game mechanic use from gameStats. Games are deterministic per seed, so
+// any drift comes from a code or balance change; the tolerance says how much is fine.
+const BASELINE_FILE = path.resolve(__dirname, 'baseline.json');
+const BASELINE_FORMAT = 'decay-baseline';
+const DEFAULT_BASELINE_TOLERANCE = {
+    ratePoints: 10,       // Clear rates: percentage points either way
+    movesPercent: 15,     // Average moves: percent of the baseline value
+    statsPercent: 30,     // Mechanic use: percent of the baseline value...
+    statsFloor: 0.5       // ...but at least this much per game, for counters near zero
+};
+
+// Bot game totals (runBaselineGames) for a seed range, split across the workers and summed
+async function runBaselineTotals(workers, rules, seedStart, numSeeds, targetLevel, bots) {
+    const ranges = splitRange(seedStart, numSeeds, workers.length);
+    const partials = await Promise.all(ranges.map((range, i) => workers[i].page.evaluate((r, start, count, target, b) => {
+        return withRuleOverrides(r, () => runBaselineGames(count, start, target, b));
+    }, rules, range.start, range.count, targetLevel, bots)));
+    const totals = {};
+    for (const partial of partials) {
+        for (const [bot, t] of Object.entries(partial)) {
+            const sum = totals[bot] || (totals[bot] = { games: 0, moves: 0, reached: t.reached.map(() => 0), stats: {} });
+            sum.games += t.games;
+            sum.moves += t.moves;
+            t.reached.forEach((n, level) => { sum.reached[level] += n; });
+            for (const [stat, n] of Object.entries(t.stats)) sum.stats[stat] = (sum.stats[stat] || 0) + n;
+        }
+    }
+    return totals;
+}
+
+// Flat { 'oracle.clearedL3': 95, 'oracle.avgMoves': 212, 'oracle.stats.rewinds': 1.2, ... }
+function baselineMetrics(totals) {
+    const metrics = {};
+    const round = (n) => +n.toFixed(2);
+    for (const [bot, t] of Object.entries(totals)) {
+        for (let level = 1; level < t.reached.length - 1; level++) {
+            metrics[`${bot}.clearedL${level}`] = round(t.reached[level + 1] / t.games * 100);
+        }
+        metrics[`${bot}.avgMoves`] = round(t.moves / t.games);
+        for (const [stat, n] of Object.entries(t.stats)) metrics[`${bot}.stats.${stat}`] = round(n / t.games);
+    }
+    return metrics;
+}
+
+// How far a metric may move from its baseline value
+function baselineAllowance(name, expected, tolerance) {
+    if (name.includes('.clearedL')) return tolerance.ratePoints;
+    if (name.endsWith('.avgMoves')) return Math.abs(expected) * tolerance.movesPercent / 100;
+    return Math.max(tolerance.statsFloor, Math.abs(expected) * tolerance.statsPercent / 100);
+}
+
+async function withWorkers(parallelCount, fn) {
+    const opts = { protocolTimeout: 3600000 };
+    const workers = parallelCount > 1 ? await launchWorkerPool(parallelCount, opts) : [await launchPage(opts)];
+    try {
+        return await fn(workers);
+    } finally {
+        await closeWorkerPool(workers);
+    }
+}
+
+async function recordBaseline(numSeeds, seedStart, targetLevel, parallelCount = 1) {
+    const bots = ['oracle', 'greedy'];
+    return withWorkers(parallelCount, async (workers) => {
+        const rules = await workers[0].page.evaluate(() => ruleOverrides);  // --ruleset, if any
+        const totals = await runBaselineTotals(workers, rules, seedStart, numSeeds, targetLevel, bots);
+        return {
+            format: BASELINE_FORMAT,
+            version: 1,
+            created: new Date().toISOString().slice(0, 10),
+            seeds: numSeeds,
+            seedStart,
+            targetLevel,
+            bots,
+            rules,
+            tolerance: { ...DEFAULT_BASELINE_TOLERANCE },
+            metrics: baselineMetrics(totals)
+        };
+    });
+}
+
+// Re-run a baseline's games under its rules; every baseline metric becomes a pass/fail case
+async function checkBaseline(baseline, parallelCount = 1) {
+    if (baseline?.format !== BASELINE_FORMAT) throw new Error('not a baseline file (run --baseline to record one)');
+    const tolerance = { ...DEFAULT_BASELINE_TOLERANCE, ...baseline.tolerance };
+    const totals = await withWorkers(parallelCount, (workers) => runBaselineTotals(workers, baseline.rules || {},
+        baseline.seedStart, baseline.seeds, baseline.targetLevel, baseline.bots));
+    const actual = baselineMetrics(totals);
+    const cases = Object.entries(baseline.metrics).map(([name, expected]) => {
+        const value = actual[name];
+        const allowed = baselineAllowance(name, expected, tolerance);
+        const drift = value === undefined ? null : +(value - expected).toFixed(2);
+        const passed = drift !== null && Math.abs(drift) <= allowed + 1e-9;
+        return {
+            name, expected, actual: value ?? null, drift, allowed: +allowed.toFixed(2), passed,
+            message: passed ? null : drift === null ? 'metric no longer measured' :
+                `${value} vs baseline ${expected} (drift ${drift >= 0 ? '+' : ''}${drift}, allowed ±${+allowed.toFixed(2)})`
+        };
+    });
+    return { passed: cases.every(c => c.passed), baseline: { seeds: baseline.seeds, seedStart: baseline.seedStart,
+        targetLevel: baseline.targetLevel, created: baseline.created }, cases };
+}
+
+function formatBaselineResults(results) {
+    const lines = [];
+    const b = results.baseline;
+    lines.push('\n=== BASELINE CHECK ===');
+    lines.push(`Seeds: ${b.seedStart}-${b.seedStart + b.seeds - 1}, target L${b.targetLevel}, recorded ${b.created || '?'}`);
+    for (const c of results.cases) {
+        const icon = c.passed ? '\u2705' : '\u274C';
+        lines.push(`${icon} ${c.name.padEnd(30)} ${String(c.actual ?? '—').padStart(8)}  (baseline ${c.expected}, ±${c.allowed})`);
+    }
+    const failed = results.cases.filter(c => !c.passed).length;
+    lines.push(`\n--- ${results.cases.length - failed}/${results.cases.length} metrics within tolerance ---`);
+    return lines.join('\n');
+}
+
+// ============ REPORTS ============
+// --junit / --json: suite tests and baseline metrics as cases { name, passed, skipped, message }
+// Informational results (timings) are written as skipped with their numbers as the message
+function suiteReportCases(results) {
+    const detail = test => suiteTestDetail(test).replace(/^ - /, '').trim();
+    return Object.entries(results)
+        .filter(([name, test]) => name !== 'allPassed' && test && typeof test === 'object')
+        .map(([name, test]) => ({
+            name,
+            passed: !!(test.passed || test.skipped || test.informational),
+            skipped: !!(test.skipped || test.informational),
+            message: test.informational ? `informational: ${detail(test)}` :
+                test.passed || test.skipped ? null : detail(test) || 'failed'
+        }));
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+function toJUnit(suiteName, cases, seconds) {
+    const failures = cases.filter(c => !c.passed).length;
+    const skipped = cases.filter(c => c.skipped).length;
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+    lines.push(`<testsuites tests="${cases.length}" failures="${failures}" skipped="${skipped}" time="${seconds.toFixed(3)}">`);
+    lines.push(`  <testsuite name="${escapeXml(suiteName)}" tests="${cases.length}" failures="${failures}" skipped="${skipped}" time="${seconds.toFixed(3)}">`);
+    for (const c of cases) {
+        const open = `    <testcase classname="${escapeXml(suiteName)}" name="${escapeXml(c.name)}"`;
+        if (c.skipped) lines.push(c.message ? `${open}><skipped message="${escapeXml(c.message)}"/></testcase>` : `${open}><skipped/></testcase>`);
+        else if (!c.passed) lines.push(`${open}><failure message="${escapeXml(c.message)}">${escapeXml(c.message)}</failure></testcase>`);
+        else lines.push(`${open}/>`);
+    }
+    lines.push('  </testsuite>', '</testsuites>');
+    return lines.join('\n') + '\n';
+}
+
+function writeReports(flags, suiteName, cases, seconds, data) {
+    if (flags.junitFile) {
+        fs.writeFileSync(flags.junitFile, toJUnit(suiteName, cases, seconds));
+        console.log(`Wrote ${flags.junitFile}`);
+    }
+    if (flags.jsonFile) {
+        const failed = cases.filter(c => !c.passed).length;
+        const report = { suite: suiteName, passed: failed === 0, tests: cases.length, failures: failed,
+                         seconds: +seconds.toFixed(3), cases, results: data };
+        fs.writeFileSync(flags.jsonFile, JSON.stringify(report, null, 2) + '\n');
+        console.log(`Wrote ${flags.jsonFile}`);
+    }
+}
+
+// Replays to check for --verify-replays: BUILT_IN_REPLAYS from roguelike.html when no files
+// are given, otherwise each file's replay, array of replays, or leaderboard entries ({ replay })
+function loadReplaysToVerify(files) {
+    if (files.length === 0) {
+        const html = fs.readFileSync(GAME_FILE, 'utf-8');
+        const match = html.match(/^\s*const BUILT_IN_REPLAYS = (.*);$/m);
+        if (!match) throw new Error('Could not find BUILT_IN_REPLAYS line in roguelike.html');
+        return JSON.parse(match[1]).map((replay, i) => ({ name: `built-in #${i + 1} (seed ${replay.seed})`, replay }));
+    }
+    const list = [];
+    for (const file of files) {
+        const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        const items = Array.isArray(data) ? data : [data];
+        items.forEach((item, i) => {
+            const replay = item && item.replay ? item.replay : item;
+            const name = items.length > 1 ? `${path.basename(file)} #${i + 1}` : path.basename(file);
+            list.push({ name: `${name} (seed ${replay && replay.seed})`, replay });
+        });
+    }
+    return list;
+}
+
+async function runVerifyReplays(files) {
+    const list = loadReplaysToVerify(files);
+    const { browser, page } = await launchPage();
+    try {
+        const reports = await page.evaluate((items) => {
+            return items.map(({ name, replay }) => ({ name, moves: replay?.moves?.length || 0, ...verifyReplay(replay) }));
+        }, list);
+        // Unhashed (pre-v4) replays can only be checked for their final level, which is not enough
+        return {
+            passed: reports.every(r => r.ok && r.hashed > 0),
+            reports
+        };
+    } finally {
+        await browser.close();
+    }
+}
+
 async function generateReplays(count = 3, seedStart = 1000, seedEnd = 2000, parallelCount = 1) {
     const totalSeeds = seedEnd - seedStart + 1;
     const BATCH_SIZE = 200; // Process seeds in chunks to avoid protocol timeout
@@ -516,30 +1241,38 @@ async function _generateReplaysOnPage(page, count, seedStart, seedEnd, totalSeed
     return replays;
 }
 
-function formatSuiteResults(results) {
+// One line of detail for a suite test's result
+function suiteTestDetail(test) {
+    if (test.skipped) return ' (skipped)';
+    if (test.oWins !== undefined && test.gWins !== undefined) return ` oracle:${test.oWins} greedy:${test.gWins} gExclusive:${test.gExclusive}`;
+    if (test.baselineWins !== undefined) return ` baseline:${test.baselineWins}/${test.baselineTested} wins:${test.currentWins}/${test.totalTested} (${test.winRate}%)${test.regressions?.length ? ' regressions:' + test.regressions.length : ''}`;
+    if (test.avgOracleTime !== undefined) return ` oracle:${test.avgOracleTime}ms greedy:${test.avgGreedyTime}ms ratio:${test.avgRatio}x`;
+    if (test.firstDivergence) return ` seed ${test.firstDivergence.seed} turn ${test.firstDivergence.turn} - ${test.firstDivergence.diffs.slice(0, 3).join('; ')}`;
+    if (test.issues?.length) return ` - ${test.issues.slice(0, 3).join('; ')}`;
+    return '';
+}
+
+function formatSuiteResults(results, title = 'DECAY ROGUELIKE TEST SUITE') {
     const lines = [];
-    lines.push('\n=== DECAY ROGUELIKE TEST SUITE ===\n');
+    lines.push(`\n=== ${title} ===\n`);
 
     let passed = 0, failed = 0, total = 0;
 
-    // Results is an object with test names as keys, each having a .passed field
+    // Results is an object with test names as keys, each having a .passed field (timings: .informational)
     for (const [name, test] of Object.entries(results)) {
         if (name === 'allPassed') continue;
         if (!test || typeof test !== 'object') continue;
+        if (test.informational) {
+            lines.push(`\u2139\uFE0F ${name}${suiteTestDetail(test)} (informational)`);
+            continue;
+        }
         total++;
         const isPassed = test.passed || test.skipped;
         const icon = isPassed ? '\u2705' : '\u274C';
         if (isPassed) passed++;
         else failed++;
 
-        let detail = '';
-        if (test.skipped) detail = ' (skipped)';
-        else if (test.oWins !== undefined && test.gWins !== undefined) detail = ` oracle:${test.oWins} greedy:${test.gWins} gExclusive:${test.gExclusive}`;
-        else if (test.baselineWins !== undefined) detail = ` baseline:${test.baselineWins}/${test.baselineTested} wins:${test.currentWins}/${test.totalTested} (${test.winRate}%)${test.regressions?.length ? ' regressions:' + test.regressions.length : ''}`;
-        else if (test.avgOracleTime !== undefined) detail = ` oracle:${test.avgOracleTime}ms greedy:${test.avgGreedyTime}ms ratio:${test.avgRatio}x`;
-        else if (test.issues?.length) detail = ` - ${test.issues.slice(0, 3).join('; ')}`;
-
-        lines.push(`${icon} ${name}${detail}`);
+        lines.push(`${icon} ${name}${suiteTestDetail(test)}`);
     }
 
     lines.push(`\n--- ${passed}/${total} passed, ${failed} failed ---`);
@@ -548,79 +1281,217 @@ function formatSuiteResults(results) {
 }
 
 function formatCompareResults(results) {
+    const { challenger, reference } = results;
+    const title = (name) => name.charAt(0).toUpperCase() + name.slice(1);
     const lines = [];
-    lines.push('\n=== ORACLE vs GREEDY COMPARISON ===\n');
+    lines.push(`\n=== ${challenger.toUpperCase()} vs ${reference.toUpperCase()} COMPARISON ===\n`);
     lines.push(`Seeds: ${results.numGames}`);
-    lines.push(`Oracle wins: ${results.oracleWins} (${results.oracleRate}%)`);
-    lines.push(`Greedy wins: ${results.greedyWins} (${results.greedyRate}%)`);
+    lines.push(`${title(challenger)} wins: ${results.challengerWins} (${results.challengerRate}%)`);
+    lines.push(`${title(reference)} wins: ${results.referenceWins} (${results.referenceRate}%)`);
     lines.push(`Gap: ${results.gap >= 0 ? '+' : ''}${results.gap}%`);
     lines.push(`Both win: ${results.bothWin}, Both lose: ${results.bothLose}`);
-    lines.push(`Greedy-only wins: ${results.greedyOnlyWins}`);
-    lines.push(`Oracle-only wins: ${results.oracleOnlyWins}`);
-    if (results.greedyOnlyWins > 0) {
-        lines.push(`\n\u26A0\uFE0F  WARNING: greedy beats oracle on ${results.greedyOnlyWins} seeds!`);
+    lines.push(`${title(reference)}-only wins: ${results.referenceOnlyWins}`);
+    lines.push(`${title(challenger)}-only wins: ${results.challengerOnlyWins}`);
+    if (results.referenceOnlyWins > 0) {
+        lines.push(`\n\u26A0\uFE0F  WARNING: ${reference} beats ${challenger} on ${results.referenceOnlyWins} seeds!`);
+    }
+    return lines.join('\n');
+}
+
+function formatFogResults(results) {
+    const lines = [];
+    lines.push('\n=== OMNISCIENT vs DECAY MEMORY (fog of war) ===\n');
+    lines.push(`Seeds: ${results.seeds}, target L${results.targetLevel}`);
+    for (const bot of ['greedy', 'tactical']) {
+        const omni = results.rows.find(r => r.bot === bot && !r.memory);
+        const fog = results.rows.find(r => r.bot === bot && r.memory);
+        lines.push(`${bot.padEnd(9)} omniscient: ${omni.wins} wins, avg L${omni.avgLevel}, ${omni.avgMoves} moves` +
+            ` | memory: ${fog.wins} wins, avg L${fog.avgLevel}, ${fog.avgMoves} moves` +
+            ` | cost of fog: ${omni.wins - fog.wins} wins`);
+    }
+    return lines.join('\n');
+}
+
+function formatDiffResults(results) {
+    const lines = [];
+    lines.push('\n=== DIFFERENTIAL LIVE vs SIM ===');
+    lines.push(`Seeds: ${results.seeds}, turns compared: ${results.turnsChecked}, re-syncs (descents/deaths): ${results.resyncs}`);
+    if (results.passed) {
+        lines.push('\u2705 No divergence: live game and simulation agree on every compared turn');
+        return lines.join('\n');
+    }
+    lines.push(`\u274C ${results.divergences.length} seed(s) diverged`);
+    for (const d of results.divergences) {
+        lines.push(`  seed ${d.seed} L${d.level} turn ${d.turn} after ${JSON.stringify(d.action)}:`);
+        for (const diff of d.diffs) lines.push(`    ${diff}`);
+    }
+    return lines.join('\n');
+}
+
+function formatVerifyResults(results) {
+    const lines = [];
+    lines.push('\n=== REPLAY VERIFICATION ===');
+    for (const r of results.reports) {
+        if (!r.ok) {
+            lines.push(`\u274C ${r.name}: ${r.reason}`);
+            if (r.field && r.field !== 'level') lines.push(`    expected ${r.expected}\n    actual   ${r.actual}`);
+        } else if (r.hashed === 0) {
+            lines.push(`\u26A0\uFE0F  ${r.name}: no state hashes, only the final level matched (${r.moves} moves)`);
+        } else {
+            lines.push(`\u2705 ${r.name}: ${r.hashed}/${r.moves} moves match`);
+        }
     }
+    const bad = results.reports.filter(r => !r.ok || r.hashed === 0).length;
+    lines.push(`\n--- ${results.reports.length - bad}/${results.reports.length} replays verified ---`);
     return lines.join('\n');
 }
 
 async function main() {
-    const rawArgs = process.argv.slice(2);
-    const { parallelCount, cleanArgs: args } = parseParallelFlag(rawArgs);
+    // --agent owns stdout for protocol lines, so notes like "Ruleset: ..." go to stderr
+    if (process.argv.includes('--agent')) console.log = console.error;
+    const { headless, cleanArgs: rawArgs } = parseHeadlessFlag(process.argv.slice(2));
+    const { parallelCount, cleanArgs: flagArgs } = parseParallelFlag(rawArgs);
+    useHeadlessEngine = headless;
+    let args;
+    let reportFlags;
+    try {
+        reportFlags = parseReportFlags(flagArgs);
+        const bots = parseBotFileFlag(reportFlags.cleanArgs);
+        activeBotFiles = bots.botFiles;
+        for (const { file } of activeBotFiles) console.log(`Bot file: ${file}`);
+        const parsed = parseRulesetFlag(bots.cleanArgs);
+        args = parsed.cleanArgs;
+        activeRuleset = parsed.ruleset;
+        if (activeRuleset && ['--suite', '--verify-replays', '--check-baseline'].includes(args[0])) {
+            // The suite checks the shipped rules, and replays and baselines carry their own
+            console.log(`Note: ${args[0]} ignores --ruleset`);
+            activeRuleset = null;
+        } else if (activeRuleset) {
+            console.log(`Ruleset: ${parsed.rulesetFile}`);
+        }
+    } catch (err) {
+        console.error(`Bad option: ${err.message}`);
+        process.exit(1);
+    }
 
     if (args.length === 0 || args[0] === '--help') {
         console.log(`Usage:
   node test-runner.js --suite all            Run full test suite (serial only)
   node test-runner.js --suite quick          Run quick test suite (serial only)
-  node test-runner.js --compare N            Compare oracle vs greedy on N seeds
-  node test-runner.js --perf N               Performance benchmark on N seeds
-  node test-runner.js --bot TYPE SEED        Run single bot game
-  node test-runner.js --seeds S N T          Run oracle on N seeds from S, target T
+  node test-runner.js --suite checkers       Run the checkers rules/AI suite (Node, no browser)
+  node test-runner.js --compare N [A] [B]    Compare bot A vs bot B (default oracle vs greedy) on
+                                             N seeds; exit 1 if B wins a seed A loses
+  node test-runner.js --perf N [BOT]         Performance benchmark on N seeds (default oracle)
+  node test-runner.js --bot TYPE SEED [T]    Run single bot game
+  node test-runner.js --seeds S N T [BOT]    Run oracle (or BOT) on N seeds from S, target T
+  node test-runner.js --record BOT SEED [T] [FILE]
+                                             Record a bot game (target T, default 5) as a replay
+                                             file, checkable with --verify-replays FILE
+  node test-runner.js --diff S N [T] [BOT]   Step live game and simulation side by side on N seeds
+                                             from S (target T, default 6; BOT oracle/greedy/tactical),
+                                             report the first turn where they diverge
   node test-runner.js --replays [N] [S] [E]  Generate N showcase replays into roguelike.html
+  node test-runner.js --verify-replays [FILE...]
+                                             Re-run replays (default: BUILT_IN_REPLAYS) and report
+                                             the first turn and field where a state hash differs
+  node test-runner.js --fog N [T]            Greedy/tactical wins on N seeds (target T, default 5)
+                                             with and without the decayMemory fog-of-war rule
+  node test-runner.js --baseline [N] [S] [T] [FILE]
+                                             Record oracle/greedy metrics on N seeds from S (default
+                                             20 from 1000, target T=5) to FILE (default baseline.json):
+                                             per-level clear rates, average moves, mechanic use
+  node test-runner.js --check-baseline [FILE]
+                                             Re-run FILE's games; exit 1 when a metric drifts past
+                                             the file's tolerance
+  node test-runner.js --agent [SEED] [T]     Play a run (target T, default 10) as an external agent:
+                                             JSON observations out on stdout, one JSON action per
+                                             line in on stdin, e.g. {"action":"move","dir":"NE"}.
+                                             Also {"cmd":"observe"}, {"cmd":"new","seed":7}, {"cmd":"quit"}
+  node test-runner.js --calibrate [N] [S] [A-B] [OUT]
+                                             Tune levels A-B (default 2-5) on N seeds from S
+                                             (default 20 from 1000): oracle, greedy and heuristic
+                                             runs until CALIBRATION_TARGETS are met; prints the
+                                             curve and a proposed ruleset (written to OUT if given).
+                                             Starts from --ruleset when one is given.
+  node test-runner.js --checkers N [A] [B] [VARIANT] [S]
+                                             Play N checkers games between AI difficulties A and B
+                                             (default medium vs easy; easy/medium/hard/expert) on
+                                             VARIANT (default classic; casual, 8x8, portals,
+                                             portals-8x8 or any registered variant), seeds from S
+                                             (default 1), colours alternating; reports win and
+                                             draw rates. Runs checkers-engine.js in Node.
+  node test-runner.js --checkers-record A B [VARIANT] [S] [FILE]
+                                             Play one checkers game, A on the human side, B as
+                                             Claude, seed S (default 1); print its game record as
+                                             PDN or write it to FILE (JSON when FILE ends in .json)
+  node test-runner.js --verify-checkers [FILE...]
+                                             Replay checkers game records (default:
+                                             CheckersTestSuite.fixtures): every move legal, result
+                                             matching, and AI games (Human/Claude tags) playing the
+                                             same moves again; exit 1 on any mismatch
 
 Options:
   --parallel N    Use N parallel browser workers (default: 1)
-                  Applies to --perf, --seeds, and --replays commands.
+                  Applies to --perf, --seeds, --diff, --replays, --calibrate and baseline commands.
                   --suite always runs serially (test interdependencies).
+  --headless      Run decay-engine.js in Node worker threads (no Chrome/puppeteer needed).
+                  --replays still rewrites BUILT_IN_REPLAYS in roguelike.html.
+  --ruleset FILE  Play every game under a JSON ruleset of rule overrides, e.g.
+                  {"chainCollapseAmount": 3, "levels": {"4": {"roomDecayBase": 10}}}
+                  (not --suite or --verify-replays). Replays record it.
+  --bot-file FILE Load a script that calls registerBot(name, { init, chooseMove }) before
+                  running; its bots work anywhere a bot name goes. Repeatable.
+  --junit FILE    Write --suite / --check-baseline results as JUnit XML.
+  --json FILE     Write them as JSON: pass/fail per case plus the raw results.
 
 Examples:
   node test-runner.js --perf 200 --parallel 4
   node test-runner.js --seeds 1000 4000 5 --parallel 8
-  node test-runner.js --replays 5 1000 5000 --parallel 4`);
+  node test-runner.js --replays 5 1000 5000 --parallel 4
+  node test-runner.js --suite quick --headless
+  node test-runner.js --seeds 1000 50 5 --ruleset tight-l4.json --headless
+  node test-runner.js --compare 50 lookahead greedy --bot-file example-bot.js --headless`);
         process.exit(0);
     }
 
     try {
         if (args[0] === '--suite') {
             const mode = args[1] || 'all'; // quick, all, or extended
-            const label = mode === 'quick' ? 'quick (20 seeds)' : mode === 'extended' ? 'extended (500 seeds)' : 'full (200 seeds)';
+            const label = mode === 'quick' ? 'quick (20 seeds)' : mode === 'extended' ? 'extended (500 seeds)' :
+                mode === 'checkers' ? 'checkers' : 'full (200 seeds)';
             if (parallelCount > 1) {
                 console.log(`Note: --suite always runs serially (ignoring --parallel ${parallelCount})`);
             }
             console.log(`Running ${label} test suite...`);
+            const started = Date.now();
             const { results, errors } = await runSuite(mode);
-            console.log(formatSuiteResults(results));
+            console.log(formatSuiteResults(results, mode === 'checkers' ? 'CHECKERS TEST SUITE' : undefined));
             if (errors.length > 0) {
                 console.log(`\nPage errors: ${errors.join('\n')}`);
             }
+            writeReports(reportFlags, mode === 'checkers' ? 'checkers-suite' : `decay-suite-${mode}`, suiteReportCases(results), (Date.now() - started) / 1000, results);
             process.exit(results.allPassed ? 0 : 1);
         }
 
         if (args[0] === '--compare') {
             const n = parseInt(args[1]) || 50;
-            console.log(`Comparing oracle vs greedy on ${n} seeds...`);
-            const results = await runCompare(n);
+            const challenger = args[2] || 'oracle';
+            const reference = args[3] || 'greedy';
+            console.log(`Comparing ${challenger} vs ${reference} on ${n} seeds...`);
+            const results = await runCompare(n, 5, 3000, challenger, reference);
             console.log(formatCompareResults(results));
-            process.exit(results.greedyOnlyWins > 0 ? 1 : 0);
+            process.exit(results.referenceOnlyWins > 0 ? 1 : 0);
         }
 
         if (args[0] === '--perf') {
             const n = parseInt(args[1]) || 20;
+            const bot = args[2] || 'oracle';
             if (parallelCount > 1) {
-                console.log(`Performance benchmark on ${n} seeds with ${parallelCount} workers...`);
+                console.log(`Performance benchmark (${bot}) on ${n} seeds with ${parallelCount} workers...`);
             } else {
-                console.log(`Performance benchmark on ${n} seeds...`);
+                console.log(`Performance benchmark (${bot}) on ${n} seeds...`);
             }
-            const results = await runPerf(n, 5, parallelCount);
+            const results = await runPerf(n, 5, parallelCount, bot);
             console.log('\n=== PERFORMANCE ===');
             console.log(JSON.stringify(results, null, 2));
             if (parallelCount > 1) {
@@ -647,16 +1518,41 @@ Examples:
             const start = parseInt(args[1]) || 1000;
             const count = parseInt(args[2]) || 10;
             const target = parseInt(args[3]) || 5;
+            const bot = args[4] || 'oracle';
             if (parallelCount > 1) {
-                console.log(`Running oracle on ${count} seeds from ${start}, target L${target} with ${parallelCount} workers...`);
+                console.log(`Running ${bot} on ${count} seeds from ${start}, target L${target} with ${parallelCount} workers...`);
             } else {
-                console.log(`Running oracle on ${count} seeds from ${start}, target L${target}...`);
+                console.log(`Running ${bot} on ${count} seeds from ${start}, target L${target}...`);
             }
-            const results = await runSeeds(start, count, target, parallelCount);
+            const results = await runSeeds(start, count, target, parallelCount, bot);
             console.log(JSON.stringify(results.summary, null, 2));
             process.exit(0);
         }
 
+        if (args[0] === '--record') {
+            const type = args[1] || 'oracle';
+            const seed = parseInt(args[2]) || 1000;
+            const target = parseInt(args[3]) || 5;
+            // Same name the page's replay download uses
+            const file = args[4] || `replay_${type}_${seed}_L${target}.json`;
+            console.log(`Recording ${type} on seed ${seed}, target L${target}...`);
+            const replay = await recordReplay(type, seed, target);
+            fs.writeFileSync(file, JSON.stringify(replay) + '\n');
+            console.log(`Wrote ${file}: ${replay.moves.length} moves, reached L${replay.result.level} (${replay.result.reason})`);
+            process.exit(0);
+        }
+
+        if (args[0] === '--diff') {
+            const start = parseInt(args[1]) || 1000;
+            const count = parseInt(args[2]) || 10;
+            const target = parseInt(args[3]) || 6;
+            const driver = args[4] || 'oracle';
+            console.log(`Differential live-vs-sim check: ${driver} on ${count} seeds from ${start}, target L${target}...`);
+            const results = await runDiff(start, count, target, driver, parallelCount);
+            console.log(formatDiffResults(results));
+            process.exit(results.passed ? 0 : 1);
+        }
+
         if (args[0] === '--replays') {
             const count = parseInt(args[1]) || 3;
             const seedStart = parseInt(args[2]) || 1000;
@@ -675,6 +1571,102 @@ Examples:
             process.exit(replays ? 0 : 1);
         }
 
+        if (args[0] === '--fog') {
+            const n = parseInt(args[1]) || 20;
+            const target = parseInt(args[2]) || 5;
+            console.log(`Measuring decay memory (fog of war) on ${n} seeds, target L${target}...`);
+            const results = await runFogCompare(n, target);
+            console.log(formatFogResults(results));
+            process.exit(0);
+        }
+
+        if (args[0] === '--baseline') {
+            const n = parseInt(args[1]) || 20;
+            const start = parseInt(args[2]) || 1000;
+            const target = parseInt(args[3]) || 5;
+            const file = args[4] || BASELINE_FILE;
+            console.log(`Recording baseline: oracle and greedy on ${n} seeds from ${start}, target L${target}...`);
+            const baseline = await recordBaseline(n, start, target, parallelCount);
+            fs.writeFileSync(file, JSON.stringify(baseline, null, 2) + '\n');
+            console.log(`Wrote ${Object.keys(baseline.metrics).length} metrics to ${file}`);
+            process.exit(0);
+        }
+
+        if (args[0] === '--check-baseline') {
+            const file = args[1] || BASELINE_FILE;
+            const baseline = JSON.parse(fs.readFileSync(file, 'utf8'));
+            console.log(`Checking ${file}: ${baseline.seeds} seeds from ${baseline.seedStart}, target L${baseline.targetLevel}...`);
+            const started = Date.now();
+            const results = await checkBaseline(baseline, parallelCount);
+            console.log(formatBaselineResults(results));
+            writeReports(reportFlags, 'decay-baseline', results.cases, (Date.now() - started) / 1000, results);
+            process.exit(results.passed ? 0 : 1);
+        }
+
+        if (args[0] === '--agent') {
+            const seed = args[1] !== undefined ? parseInt(args[1]) : null;
+            const target = parseInt(args[2]) || 10;
+            await runAgentBridge(Number.isNaN(seed) ? null : seed, target);
+            process.exit(0);
+        }
+
+        if (args[0] === '--calibrate') {
+            const n = parseInt(args[1]) || 20;
+            const start = parseInt(args[2]) || 1000;
+            const [from, to] = (args[3] || '2-5').split('-').map(Number);
+            const out = args[4];
+            if (!(from >= 1) || !(to >= from)) throw new Error(`levels '${args[3]}' are not a range like 2-5`);
+            console.log(`Calibrating levels ${from}-${to} on ${n} seeds from ${start}...`);
+            const results = await runCalibrate(n, start, from, to, parallelCount);
+            console.log(formatCalibrateResults(results));
+            if (out) {
+                fs.writeFileSync(out, JSON.stringify(results.ruleset, null, 2) + '\n');
+                console.log(`\nWrote ${out}`);
+            }
+            process.exit(0);
+        }
+
+        if (args[0] === '--checkers') {
+            const n = parseInt(args[1]) || 20;
+            const a = args[2] || 'medium';
+            const b = args[3] || 'easy';
+            const variant = args[4] || 'classic';
+            const start = parseInt(args[5]) || 1;
+            console.log(`Checkers (${variant}): ${a} vs ${b} over ${n} games...`);
+            console.log(formatCheckersResults(runCheckersMatchup(n, a, b, variant, start)));
+            process.exit(0);
+        }
+
+        if (args[0] === '--checkers-record') {
+            const [a, b] = [args[1], args[2]];
+            if (!a || !b) throw new Error('--checkers-record needs two difficulties');
+            const variant = args[3] || 'classic';
+            const seed = parseInt(args[4]) || 1;
+            const file = args[5];
+            const game = recordCheckersGame(a, b, variant, seed, file && file.endsWith('.json') ? 'json' : 'pdn');
+            if (file) {
+                fs.writeFileSync(file, game.text.endsWith('\n') ? game.text : game.text + '\n');
+                console.log(`Wrote ${file}: ${game.plies} plies, ${game.record.result} (${game.reason})`);
+            } else {
+                console.log(game.text);
+            }
+            process.exit(0);
+        }
+
+        if (args[0] === '--verify-checkers') {
+            const results = runVerifyCheckers(args.slice(1));
+            console.log(formatVerifyCheckersResults(results));
+            process.exit(results.passed ? 0 : 1);
+        }
+
+        if (args[0] === '--verify-replays') {
+            const files = args.slice(1);
+            console.log(`Verifying ${files.length ? files.join(', ') : 'built-in replays'}...`);
+            const results = await runVerifyReplays(files);
+            console.log(formatVerifyResults(results));
+            process.exit(results.passed ? 0 : 1);
+        }
+
         console.error(`Unknown option: ${args[0]}`);
         process.exit(1);
     } catch (err) {
@@ -683,4 +1675,8 @@ Examples:
     }
 }
 
-main();
+if (isMainThread) {
+    main();
+} else {
+    runHeadlessWorker();
+}